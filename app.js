@@ -1,728 +1,3230 @@
-/* =========================================================
-   TasPorts Public Dashboard — app.js
-   - Dual tiles: 6-day (left) + 15-day (right)
-   - Map: black markers + permanent site name labels (with per-site offsets)
-   - Calibration page: reads calibration.json (supports items[] or sites{})
-   - Charts: embeds
-========================================================= */
-
-/**
- * Turbidity triggers are window-specific (6d vs 15d) and site-specific.
- * Only apply to: seagrass, scallops, grayling.
- *
- * NOTE: Values below implemented per the trigger table provided.
- * - Seagrass/Scallops:
- *    6d: amber 4.0, red 4.33
- *   15d: amber 3.0, red 3.3
- * - Grayling:
- *    6d: amber 8.5, red 15.0
- *   15d: amber 4.9, red 16.5
- */
-const TURBIDITY_THRESHOLDS = {
-  seagrass: {
-    "6d": { amber: 4.0, red: 4.33 },
-    "15d": { amber: 4.0, red: 4.33 }
-  },
-  scallops: {
-    "6d": { amber: 4.0, red: 4.33 },
-    "15d": { amber: 4.0, red: 4.33 }
-  },
-  grayling: {
-    "6d": { amber: 15, red: 16.5 },
-    "15d": { amber: 15, red: 16.5 }
-  }
-};
-
-// Sites with only one sensor should render last in each tile panel
-const SINGLE_SENSOR_SITES = new Set(["estuary", "grayling"]);
-
-async function loadStations() {
-  const res = await fetch("/stations.json", { cache: "no-store" });
-  if (!res.ok) throw new Error("Failed to load stations.json");
-  const data = await res.json();
-  return data.stations || [];
-}
-
-function currentPage() {
-  // DOM-based detection (robust to Netlify preview / pretty URLs)
-  if (document.getElementById("calibration-table")) return "calibration";
-  if (document.getElementById("chartsContainer") || document.getElementById("stationPicker")) return "charts";
-
-  const p = (window.location.pathname || "").toLowerCase();
-  if (p.endsWith("/charts.html") || p.endsWith("/charts")) return "charts";
-  if (p.endsWith("/calibration.html") || p.endsWith("/calibration")) return "calibration";
-  return "index";
-}
-
-function getQueryParam(key) {
-  return new URLSearchParams(window.location.search).get(key);
-}
-
-/* ---------------------------
-   Formatting helpers
----------------------------- */
-function formatFirstLetterCapital(str) {
-  const s = String(str ?? "").trim();
-  if (!s) return "";
-  return s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
-}
-
-function sensorLabel(level) {
-  const s = String(level ?? "").trim().toLowerCase();
-  if (s === "top") return "Top";
-  if (s === "bottom") return "Bottom";
-  // fallback: first letter capitalised
-  return s ? (s.charAt(0).toUpperCase() + s.slice(1)) : "";
-}
-
-/* ---------------------------
-   LIVE DATA (public/data)
----------------------------- */
-async function fetchLatestFromEagleDataUrl(dataUrl) {
-  if (!dataUrl || typeof dataUrl !== "string") throw new Error("Missing data URL");
-  if (!/^https:\/\/public\.eagle\.io\/public\/data\/[a-z0-9]+/i.test(dataUrl)) {
-    throw new Error(`Unexpected data URL format: ${dataUrl}`);
-  }
-
-  const resp = await fetch(dataUrl, { cache: "no-store" });
-  if (!resp.ok) throw new Error(`Fetch failed: ${resp.status} for ${dataUrl}`);
-
-  const text = await resp.text();
-
-  const lines = text
-    .split(/\r?\n/)
-    .map(l => l.trim())
-    .filter(Boolean);
-
-  const dataLines = lines.filter(l => /^\d{4}-\d{2}-\d{2}T/.test(l));
-  if (!dataLines.length) return null;
-
-  const last = dataLines[dataLines.length - 1];
-  const parts = last.split(",");
-  if (parts.length < 2) return null;
-
-  const ts = parts[0];
-  const value = Number(parts[1]);
-  if (!Number.isFinite(value)) return null;
-
-  return { timestamp: ts, value };
-}
-
-function isStale(isoTs) {
-  if (!isoTs) return false;
-  const t = Date.parse(isoTs);
-  if (!Number.isFinite(t)) return false;
-  return Date.now() - t > 24 * 60 * 60 * 1000;
-}
-
-function formatFnu(value) {
-  return `${value.toFixed(2)} FNU`;
-}
-
-/* ---------------------------
-   THRESHOLDS (turbidity)
-   - Apply only where thresholds exist
-   - Thresholds vary by windowKey ("6d" vs "15d")
-   - Others render "neutral"
----------------------------- */
-function classifyTurbidity(stationId, windowKey, value) {
-  const sid = String(stationId || "").toLowerCase();
-  const wk = windowKey === "6d" ? "6d" : "15d"; // default to 15d if anything odd comes through
-
-  const stationRec = TURBIDITY_THRESHOLDS[sid];
-  const th = stationRec?.[wk];
-
-  if (!th) return "neutral"; // no triggers apply for this site/window
-
-  // Defensive: if thresholds ever get mis-ordered, force sensible ordering
-  const amber = Number(th.amber);
-  const red = Number(th.red);
-  if (!Number.isFinite(amber) || !Number.isFinite(red)) return "neutral";
-
-  const hi = Math.max(amber, red);
-  const lo = Math.min(amber, red);
-
-  // If the source data has amber/red swapped, treat the higher value as red.
-  const amberEff = lo;
-  const redEff = hi;
-
-  if (value >= redEff) return "red";
-  if (value >= amberEff) return "amber";
-  return "green";
-}
-
-/* ---------------------------
-   URL LOOKUP (6d vs 15d)
----------------------------- */
-function getTurbidityUrl(station, level, windowKey) {
-  const v = station?.values?.[level] || {};
-
-  if (windowKey === "6d") {
-    return (
-      v.turbidity_6d ||
-      v.turbidity6 ||
-      v.turbidity_6 ||
-      v.turbidity6d ||
-      v.turbidity_6day ||
-      v.turbidity6day ||
-      ""
-    );
-  }
-
-  return (
-    v.turbidity_15d ||
-    v.turbidity15 ||
-    v.turbidity_15 ||
-    v.turbidity15d ||
-    v.turbidity_15day ||
-    v.turbidity15day ||
-    v.turbidity || // fallback (assumed 15d)
-    ""
-  );
-}
-
-/* ---------------------------
-   TILE RENDERING
----------------------------- */
-function tileClassFor(t) {
-  if (t.error) return "tile tile--error";
-  if (t.stale) return "tile tile--stale";
-
-  const cls = classifyTurbidity(t.stationId, t.windowKey, t.value);
-  return `tile tile--${cls}`;
-}
-
-function tileValueHtml(t) {
-  if (t.error) {
-    return `<div class="tile-value">—</div><div class="tile-sub">Error / missing</div>`;
-  }
-  return `<div class="tile-value">${formatFnu(t.value)}</div>
-          <div class="tile-sub">${new Date(t.timestamp).toLocaleString()}${t.stale ? " (stale)" : ""}</div>`;
-}
-
-function tileTitle(stationName, level) {
-  return `${stationName} – ${sensorLabel(level)}`;
-}
-
-function renderTilesInto(container, tiles) {
-  container.innerHTML = tiles
-    .map(t => {
-      const title = tileTitle(t.stationName, t.level);
-      return `
-        <button class="${tileClassFor(t)}" data-station="${t.stationId}" aria-label="${escapeHtml(title)}">
-          <div class="tile-title">${escapeHtml(title)}</div>
-          ${tileValueHtml(t)}
-        </button>
-      `;
-    })
-    .join("");
-
-  container.querySelectorAll("button[data-station]").forEach(btn => {
-    btn.addEventListener("click", () => {
-      const id = btn.getAttribute("data-station");
-      window.location.href = `charts.html?station=${encodeURIComponent(id)}`;
-    });
-  });
-}
-
-async function buildTurbidityTiles(stations, windowKey) {
-  const tiles = [];
-
-  for (const s of stations) {
-    const sensors = Array.isArray(s.sensors) ? s.sensors : ["top"];
-
-    for (const level of sensors) {
-      const url = getTurbidityUrl(s, level, windowKey);
-
-      if (!url) {
-        tiles.push({
-          stationId: s.id,
-          stationName: s.name,
-          level,
-          windowKey,
-          error: true,
-          reason: `missing turbidity ${windowKey} URL`
-        });
-        continue;
-      }
-
-      try {
-        const latest = await fetchLatestFromEagleDataUrl(url);
-        if (!latest) {
-          tiles.push({
-            stationId: s.id,
-            stationName: s.name,
-            level,
-            windowKey,
-            error: true,
-            reason: "no data lines found"
-          });
-          continue;
-        }
-
-        tiles.push({
-          stationId: s.id,
-          stationName: s.name,
-          level,
-          windowKey,
-          value: latest.value,
-          timestamp: latest.timestamp,
-          stale: isStale(latest.timestamp),
-          error: false
-        });
-      } catch (e) {
-        console.warn(`[Tile error] ${s.name} ${level} turbidity ${windowKey}`, url, e);
-        tiles.push({
-          stationId: s.id,
-          stationName: s.name,
-          level,
-          windowKey,
-          error: true,
-          reason: e?.message || "fetch error"
-        });
-      }
-    }
-  }
-
-  // Enforce tile order:
-  // - Multi-sensor sites first
-  // - Within each station: Top then Bottom
-  // - Single-sensor sites (Estuary, Grayling) last
-  tiles.sort((a, b) => {
-    const aSingle = SINGLE_SENSOR_SITES.has(String(a.stationId || "").toLowerCase());
-    const bSingle = SINGLE_SENSOR_SITES.has(String(b.stationId || "").toLowerCase());
-
-    if (aSingle !== bSingle) return aSingle ? 1 : -1;
-
-    if (a.stationId === b.stationId) {
-      const order = { top: 0, bottom: 1 };
-      const ao = order[String(a.level || "").toLowerCase()] ?? 9;
-      const bo = order[String(b.level || "").toLowerCase()] ?? 9;
-      return ao - bo;
-    }
-
-    return String(a.stationName || "").localeCompare(String(b.stationName || ""));
-  });
-
-  const summary = {};
-  for (const t of tiles) {
-    if (!summary[t.stationId]) summary[t.stationId] = { byWindow: { "6d": {}, "15d": {} } };
-
-    summary[t.stationId].byWindow[t.windowKey][t.level] = t.error
-      ? { ok: false, reason: t.reason }
-      : { ok: true, value: t.value, timestamp: t.timestamp, stale: t.stale };
-  }
-
-  return { tiles, summary };
-}
-
-async function renderDualTurbidityTiles(stations) {
-  const el6 = document.getElementById("turbidity-tiles-6d");
-  const el15 = document.getElementById("turbidity-tiles-15d");
-  const legacy = document.getElementById("turbidity-tiles");
-
-  if (el6) el6.innerHTML = `<div class="tiles-loading">Loading 6-day turbidity…</div>`;
-  if (el15) el15.innerHTML = `<div class="tiles-loading">Loading 15-day turbidity…</div>`;
-  if (!el6 && !el15 && legacy) legacy.innerHTML = `<div class="tiles-loading">Loading turbidity…</div>`;
-
-  const [{ tiles: tiles6, summary: sum6 }, { tiles: tiles15, summary: sum15 }] = await Promise.all([
-    buildTurbidityTiles(stations, "6d"),
-    buildTurbidityTiles(stations, "15d")
-  ]);
-
-  if (el6) {
-    if (!tiles6.length) el6.innerHTML = `<div class="tiles-loading">No 6-day links configured.</div>`;
-    else renderTilesInto(el6, tiles6);
-  }
-
-  if (el15) {
-    if (!tiles15.length) el15.innerHTML = `<div class="tiles-loading">No 15-day links configured.</div>`;
-    else renderTilesInto(el15, tiles15);
-  }
-
-  if (!el6 && !el15 && legacy) {
-    if (!tiles15.length) legacy.innerHTML = `<div class="tiles-loading">No turbidity links configured.</div>`;
-    else renderTilesInto(legacy, tiles15);
-  }
-
-  const merged = {};
-  for (const sid of new Set([...Object.keys(sum6), ...Object.keys(sum15)])) {
-    merged[sid] = {
-      byWindow: {
-        "6d": sum6?.[sid]?.byWindow?.["6d"] || {},
-        "15d": sum15?.[sid]?.byWindow?.["15d"] || {}
-      }
-    };
-  }
-
-  return merged;
-}
-
-/* ---------------------------
-   MAP (index page)
----------------------------- */
-let __mapState = null;
-
-function tooltipPlacementFor(stationId) {
-  // Default placement
-  const def = { direction: "right", offset: [10, 0] };
-
-  // Fix overlap: Estuary + Seagrass are close
-  if (stationId === "estuary") return { direction: "top", offset: [0, -14] };
-  if (stationId === "seagrass") return { direction: "bottom", offset: [0, 14] };
-
-  return def;
-}
-
-function initMap(stations) {
-  const mapEl = document.getElementById("map");
-  if (!mapEl || typeof L === "undefined") return null;
-
-  const map = L.map("map", { scrollWheelZoom: false });
-
-  L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-    attribution: "&copy; OpenStreetMap contributors"
-  }).addTo(map);
-
-  const bounds = [];
-  const markers = {};
-
-  stations.forEach(st => {
-    const coords = st.coords;
-    if (!Array.isArray(coords) || coords.length !== 2) return;
-
-    const [lat, lon] = coords;
-    bounds.push([lat, lon]);
-
-    const marker = L.circleMarker([lat, lon], {
-      radius: 8,
-      fillColor: "#000",
-      fillOpacity: 0.82,
-      color: "#fff",
-      weight: 2
-    }).addTo(map);
-
-    const place = tooltipPlacementFor(st.id);
-
-    marker.bindTooltip(escapeHtml(st.name), {
-      permanent: true,
-      direction: place.direction,
-      offset: place.offset,
-      className: "map-label",
-      opacity: 0.95
-    });
-
-    marker.on("tooltipopen", (e) => {
-      const el = e.tooltip.getElement();
-      if (el) el.style.pointerEvents = "none";
-    });
-
-    markers[st.id] = marker;
-
-    marker.on("click", () => {
-      marker.openPopup();
-    });
-  });
-
-  if (bounds.length) map.fitBounds(bounds, { padding: [30, 30] });
-
-  return { map, markers };
-}
-
-function popupHtmlForStation(station, stationSummary) {
-  const { name, id, coords } = station;
-  const [lat, lon] = Array.isArray(coords) && coords.length === 2 ? coords : [null, null];
-
-  function linesFor(windowKey, label) {
-    const rec = stationSummary?.byWindow?.[windowKey] || {};
-
-    const preferred = ["top", "bottom"];
-    const lvls = preferred.filter(k => rec[k]).concat(Object.keys(rec).filter(k => !preferred.includes(k)));
-
-    if (!lvls.length) return [`<span class="subtle small">${escapeHtml(label)}: not configured</span>`];
-
-    const out = [];
-    for (const lvl of lvls) {
-      const item = rec[lvl];
-      if (!item || item.ok === false) {
-        out.push(`${lvl.toUpperCase()}: — (error${item?.reason ? `: ${escapeHtml(item.reason)}` : ""})`);
-        continue;
-      }
-      const tsText = item.timestamp ? new Date(item.timestamp).toLocaleString() : "—";
-      out.push(`${lvl.toUpperCase()}: ${item.value.toFixed(2)} FNU (${escapeHtml(tsText)}${item.stale ? ", stale" : ""})`);
-    }
-    return out;
-  }
-
-  const block6 = linesFor("6d", "6-day rolling median");
-  const block15 = linesFor("15d", "15-day rolling median");
-
-  return `
-    <strong>${escapeHtml(name)}</strong><br/>
-    ${lat != null ? `${lat.toFixed(5)}, ${lon.toFixed(5)}<br/><br/>` : "<br/>"}
-    <em>Turbidity:</em><br/>
-    <span class="small subtle">6-day rolling median</span><br/>
-    ${block6.join("<br/>")}<br/><br/>
-    <span class="small subtle">15-day rolling median</span><br/>
-    ${block15.join("<br/>")}<br/><br/>
-    <a href="charts.html?station=${encodeURIComponent(id)}">Open charts</a>
-  `;
-}
-
-function updateMapPopups(stations, summaryByStation) {
-  if (!__mapState) return;
-  const { markers } = __mapState;
-
-  stations.forEach(st => {
-    const marker = markers[st.id];
-    if (!marker) return;
-
-    const popupHtml = popupHtmlForStation(st, summaryByStation?.[st.id]);
-    marker.bindPopup(popupHtml);
-  });
-}
-
-/* ---------------------------
-   CALIBRATION PAGE
----------------------------- */
-async function renderCalibrationTable() {
-  const host = document.getElementById("calibration-table");
-  if (!host) return;
-
-  try {
-    const res = await fetch("/calibration.json", { cache: "no-store" });
-    if (!res.ok) {
-      host.innerHTML = `<div class="small subtle">Calibration dates are not available.</div>`;
-      return;
-    }
-
-    const data = await res.json();
-
-    if (Array.isArray(data?.items)) {
-      const rows = data.items
-        .slice()
-        .sort((a, b) => {
-          const sa = `${a.station || ""}-${a.sensor || ""}`;
-          const sb = `${b.station || ""}-${b.sensor || ""}`;
-          return sa.localeCompare(sb);
-        })
-        .map(it => {
-          const station = escapeHtml(formatFirstLetterCapital(it.station || ""));
-          const sensor = escapeHtml(formatFirstLetterCapital(it.sensor || ""));
-          const date = escapeHtml(it.last_calibrated || "—");
-          const notes = escapeHtml(it.notes || "");
-          return `<tr><td>${station}</td><td>${sensor}</td><td>${date}</td><td>${notes}</td></tr>`;
-        })
-        .join("");
-
-      host.innerHTML = rows
-        ? `
-          <table class="cal-table">
-            <thead>
-              <tr><th>Station</th><th>Sensor</th><th>Last calibrated</th><th>Notes</th></tr>
-            </thead>
-            <tbody>${rows}</tbody>
-          </table>
-          ${data?.last_updated ? `<div class="small subtle" style="margin-top:8px;">Last updated: ${escapeHtml(data.last_updated)}</div>` : ""}
-        `
-        : `<div class="small subtle">Calibration dates are not configured.</div>`;
-
-      return;
-    }
-
-    const sites = data?.sites || {};
-    const rows = Object.entries(sites)
-      .sort((a, b) => String(a[0]).localeCompare(String(b[0])))
-      .map(([site, date]) => `<tr><td>${escapeHtml(formatFirstLetterCapital(site))}</td><td>${escapeHtml(date || "—")}</td></tr>`)
-      .join("");
-
-    host.innerHTML = rows
-      ? `
-        <table class="cal-table">
-          <thead><tr><th>Site</th><th>Last calibration</th></tr></thead>
-          <tbody>${rows}</tbody>
-        </table>
-        ${data?.last_updated ? `<div class="small subtle" style="margin-top:8px;">Last updated: ${escapeHtml(data.last_updated)}</div>` : ""}
-      `
-      : `<div class="small subtle">Calibration dates are not configured.</div>`;
-  } catch (e) {
-    console.warn("Calibration table load failed:", e);
-    host.innerHTML = `<div class="small subtle">Calibration dates are not available.</div>`;
-  }
-}
-
-function escapeHtml(s) {
-  return String(s ?? "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
-
-/* ---------------------------
-   CHARTS PAGE (embeds)
----------------------------- */
-function buildStationOptions(stations) {
-  const sel = document.getElementById("stationPicker");
-  if (!sel) return;
-  sel.innerHTML = stations.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join("");
-}
-
-function buildChartCard(url, title) {
-  if (!url) return "";
-  return `
-    <div class="chart-card">
-      <div class="chart-card-head">
-        <div class="chart-title">${escapeHtml(title)}</div>
-        <a class="chart-open" href="${url}" target="_blank" rel="noopener noreferrer">Open</a>
-      </div>
-      <iframe src="${url}" loading="lazy" referrerpolicy="no-referrer"></iframe>
-    </div>
-  `;
-}
-
-function renderChartsByStation(stations, stationId) {
-  const container = document.getElementById("chartsContainer");
-  const msg = document.getElementById("chartsMsg");
-  if (!container || !msg) return;
-
-  const s = stations.find(x => x.id === stationId);
-  if (!s) {
-    msg.textContent = "Station not found.";
-    container.innerHTML = "";
-    return;
-  }
-
-  msg.textContent = "";
-  const blocks = [];
-
-  const sensors = Array.isArray(s.sensors) ? s.sensors : ["top"];
-
-  // Parameter-first ordering, then TOP/BOTTOM within each parameter
-  const paramOrder = [
-    { key: "turbidity", label: "Turbidity" },
-    { key: "do",        label: "Dissolved oxygen" },
-    { key: "ph",        label: "pH" },
-    { key: "temp",      label: "Temperature" }
-  ];
-
-  for (const p of paramOrder) {
-    for (const level of sensors) {
-      const url = s?.charts?.[level]?.[p.key] || "";
-      if (!url) continue;
-
-      blocks.push(
-        buildChartCard(url, `${s.name} – ${sensorLabel(level)} – ${p.label}`)
-      );
-    }
-  }
-
-  container.innerHTML =
-    blocks.join("") || `<div class="small subtle">No charts configured for this station yet.</div>`;
-}
-
-function renderChartsByParameter(stations, paramKey) {
-  const container = document.getElementById("chartsContainer");
-  const msg = document.getElementById("chartsMsg");
-  if (!container || !msg) return;
-
-  msg.textContent = "";
-  const blocks = [];
-
-  for (const s of stations) {
-    const sensors = Array.isArray(s.sensors) ? s.sensors : ["top"];
-    for (const level of sensors) {
-      const url = s?.charts?.[level]?.[paramKey] || "";
-      if (!url) continue;
-
-      let label = paramKey.toUpperCase();
-      if (paramKey === "do") label = "Dissolved oxygen";
-      if (paramKey === "temp") label = "Temperature";
-      if (paramKey === "turbidity") label = "Turbidity";
-
-      blocks.push(buildChartCard(url, `${s.name} – ${sensorLabel(level)} – ${label}`));
-    }
-  }
-
-  container.innerHTML = blocks.join("") || `<div class="small subtle">No charts configured for this parameter yet.</div>`;
-}
-
-function initChartsPage(stations) {
-  buildStationOptions(stations);
-
-  const viewMode = document.getElementById("viewMode");
-  const stationPicker = document.getElementById("stationPicker");
-  const paramPicker = document.getElementById("paramPicker");
-  const stationWrap = document.getElementById("stationPickerWrap");
-  const paramWrap = document.getElementById("paramPickerWrap");
-
-  const presetStation = getQueryParam("station");
-  if (presetStation && stationPicker) stationPicker.value = presetStation;
-
-  function refresh() {
-    const mode = viewMode?.value || "station";
-    if (mode === "station") {
-      if (stationWrap) stationWrap.style.display = "";
-      if (paramWrap) paramWrap.style.display = "none";
-      if (stationPicker) renderChartsByStation(stations, stationPicker.value);
-    } else {
-      if (stationWrap) stationWrap.style.display = "none";
-      if (paramWrap) paramWrap.style.display = "";
-      if (paramPicker) renderChartsByParameter(stations, paramPicker.value);
-    }
-  }
-
-  viewMode?.addEventListener("change", refresh);
-  stationPicker?.addEventListener("change", refresh);
-  paramPicker?.addEventListener("change", refresh);
-
-  refresh();
-}
-
-/* ---------------------------
-   BOOT
----------------------------- */
-(async function main() {
-  try {
-    const stations = await loadStations();
-    const page = currentPage();
-
-    if (page === "index") {
-      __mapState = initMap(stations);
-
-      const summaryByStation = await renderDualTurbidityTiles(stations);
-      updateMapPopups(stations, summaryByStation);
-
-      setInterval(async () => {
-        const sum = await renderDualTurbidityTiles(stations);
-        updateMapPopups(stations, sum);
-      }, 5 * 60 * 1000);
-    }
-
-    if (page === "charts") {
-      initChartsPage(stations);
-    }
-
-    if (page === "calibration") {
-      await renderCalibrationTable();
-    }
-  } catch (err) {
-    console.error(err);
-
-    const el6 = document.getElementById("turbidity-tiles-6d");
-    const el15 = document.getElementById("turbidity-tiles-15d");
-    const legacy = document.getElementById("turbidity-tiles");
-    const msg = "Failed to load configuration. Check stations.json.";
-
-    if (el6) el6.innerHTML = `<div class="tiles-loading">${msg}</div>`;
-    if (el15) el15.innerHTML = `<div class="tiles-loading">${msg}</div>`;
-    if (!el6 && !el15 && legacy) legacy.innerHTML = `<div class="tiles-loading">${msg}</div>`;
-
-    const chartsMsg = document.getElementById("chartsMsg");
-    if (chartsMsg) chartsMsg.textContent = msg;
-
-    const calHost = document.getElementById("calibration-table");
-    if (calHost) calHost.innerHTML = `<div class="small subtle">${msg}</div>`;
-  }
-})();``
+/* =========================================================
+   TasPorts Public Dashboard — app.js
+   - Dual tiles: 6-day (left) + 15-day (right)
+   - Map: black markers + permanent site name labels (with per-site offsets)
+   - Data keys: stations.json values[sensor][parameter][window], windows declared in its schema
+   - Data sources: Eagle.io CSV, generic CSV and JSON fixture adapters picked per URL; ?fixture=1 runs the site on fixtures/demo.json
+   - Triggers: reads triggers.json (dated revisions, applied per reading)
+   - Calibration: reads calibration.json (per-sensor event history; legacy items[] / sites{}); due/overdue badges + chart marks
+   - Exceedances page: amber/red events detected from the fetched series
+   - Station page: station.html?station=<id>, every parameter/sensor for one site
+   - Report page: report.html?from=&to=, printable turbidity compliance summary for a date range
+   - Data health page: readings received vs due, gaps and fetch failures per sensor
+   - Times: parsed and shown in Australia/Hobart (AEST / AEDT) whatever the visitor's zone
+   - Charts: native + embeds; charts.html?view=&station=&param=&window=&sensor=&range= links to an exact view
+   - Historical view: ?asof=<Hobart date/time> shows the index as it stood then
+   - Notifications: opt-in browser alerts on amber/red changes (scripts/alert-webhook.js posts the same to a webhook)
+   - Core logic lives in lib/*.js (loaded first by each page, require()-able from Node; tests in test/)
+========================================================= */
+
+async function loadStationsDocument() {
+  const res = await fetch("/stations.json", { cache: "no-store" });
+  if (!res.ok) throw new Error("Failed to load stations.json");
+  return res.json();
+}
+
+async function loadTriggers() {
+  const res = await fetch("/triggers.json", { cache: "no-store" });
+  if (!res.ok) throw new Error("Failed to load triggers.json");
+  return normaliseTriggerConfig(await res.json());
+}
+
+function currentPage() {
+  // DOM-based detection (robust to Netlify preview / pretty URLs)
+  if (document.getElementById("calibration-table")) return "calibration";
+  if (document.getElementById("exceedance-table")) return "exceedances";
+  if (document.getElementById("station-detail")) return "station";
+  if (document.getElementById("report-body")) return "report";
+  if (document.getElementById("health-body")) return "health";
+  if (document.getElementById("chartsContainer") || document.getElementById("stationPicker")) return "charts";
+
+  const p = (window.location.pathname || "").toLowerCase();
+  if (p.endsWith("/charts.html") || p.endsWith("/charts")) return "charts";
+  if (p.endsWith("/calibration.html") || p.endsWith("/calibration")) return "calibration";
+  if (p.endsWith("/exceedances.html") || p.endsWith("/exceedances")) return "exceedances";
+  if (p.endsWith("/station.html") || p.endsWith("/station")) return "station";
+  if (p.endsWith("/report.html") || p.endsWith("/report")) return "report";
+  if (p.endsWith("/health.html") || p.endsWith("/health")) return "health";
+  return "index";
+}
+
+function getQueryParam(key) {
+  return new URLSearchParams(window.location.search).get(key);
+}
+
+/* ---------------------------
+   Formatting helpers
+---------------------------- */
+function formatFirstLetterCapital(str) {
+  const s = String(str ?? "").trim();
+  if (!s) return "";
+  return s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
+}
+
+function sensorLabel(level) {
+  const s = String(level ?? "").trim().toLowerCase();
+  if (s === "top") return "Top";
+  if (s === "bottom") return "Bottom";
+  // fallback: first letter capitalised
+  return s ? (s.charAt(0).toUpperCase() + s.slice(1)) : "";
+}
+
+/* ---------------------------
+   FRESHNESS (display)
+   - Staleness and gap rules are in lib/freshness.js
+---------------------------- */
+function formatAge(ms) {
+  if (!Number.isFinite(ms)) return "";
+  const mins = Math.floor(Math.max(0, ms) / 60000);
+  if (mins < 1) return "just now";
+  if (mins < 60) return `${mins} min ago`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+}
+
+function readingAgeText(isoTs) {
+  const t = parseTimestamp(isoTs);
+  return Number.isFinite(t) ? formatAge(dashboardNow() - t) : "";
+}
+
+function missingReadingsText(n) {
+  if (!n) return "";
+  return n === 1 ? "Last reading missing" : `Last ${n} readings missing`;
+}
+
+function renderTriggerRevisionNote() {
+  const el = document.getElementById("trigger-revision");
+  if (!el) return;
+
+  const rev = triggerRevisionAt(__asOfMs);
+  if (!rev) {
+    el.textContent = "Trigger values unavailable.";
+    return;
+  }
+
+  const from = Number.isFinite(rev.effectiveFromMs)
+    ? ` – in force from ${formatDate(rev.effectiveFromMs)}`
+    : "";
+  el.textContent = `Triggers: ${rev.label || rev.id}${from}${rev.document ? ` (${rev.document})` : ""}`;
+}
+
+/* ---------------------------
+   SPARKLINES / TREND
+   - Drawn from the series the tile already fetched
+   - Window is anchored on the latest reading, so stale series still show history
+---------------------------- */
+const SPARKLINE_HOURS = 48;
+const TREND_HOURS = 6;
+const HOUR_MS = 60 * 60 * 1000;
+
+function recentPoints(points, hours) {
+  const pts = Array.isArray(points) ? points : [];
+  if (!pts.length) return [];
+  const cutoff = pts[pts.length - 1].time - hours * HOUR_MS;
+  return pts.filter(p => p.time >= cutoff);
+}
+
+/**
+ * Least-squares slope over the last TREND_HOURS of readings.
+ * Returns { ratePerHour, direction: "up" | "down" | "flat" } or null if there
+ * are not enough readings to say.
+ */
+function seriesTrend(points, paramKey) {
+  const pts = recentPoints(points, TREND_HOURS);
+  if (pts.length < 2) return null;
+
+  const t0 = pts[0].time;
+  const xs = pts.map(p => (p.time - t0) / HOUR_MS);
+  const ys = pts.map(p => p.value);
+  const n = pts.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (xs[i] - mx) * (ys[i] - my);
+    den += (xs[i] - mx) ** 2;
+  }
+  if (!den) return null;
+
+  const ratePerHour = num / den;
+
+  // Treat changes smaller than the displayed precision (over the trend window) as flat
+  const decimals = PARAMETERS[paramKey]?.decimals ?? 2;
+  const flatBelow = Math.max(Math.abs(my) * 0.01, 10 ** -decimals) / TREND_HOURS;
+  const direction = Math.abs(ratePerHour) < flatBelow ? "flat" : ratePerHour > 0 ? "up" : "down";
+
+  return { ratePerHour, direction };
+}
+
+function trendHtml(trend, paramKey) {
+  if (!trend) return "";
+  const arrow = trend.direction === "up" ? "↑" : trend.direction === "down" ? "↓" : "→";
+  const p = PARAMETERS[paramKey];
+  const decimals = (p?.decimals ?? 2) + 1;
+  const sign = trend.ratePerHour > 0 ? "+" : "";
+  const unit = p?.unit ? ` ${p.unit}` : "";
+  const rate = `${sign}${trend.ratePerHour.toFixed(decimals)}${unit}/h`;
+  return `<span class="tile-trend tile-trend--${trend.direction}" title="Change per hour over the last ${TREND_HOURS} h">${arrow} ${escapeHtml(rate)}</span>`;
+}
+
+// Threshold lines for a trigger rule: [{ value, level: "amber" | "red" }]
+function ruleLines(rule) {
+  if (!rule) return [];
+  const out = [];
+  for (const level of ["amber", "red"]) {
+    const v = rule[level];
+    const vals = Array.isArray(v) ? v : [v];
+    for (const x of vals) {
+      const n = Number(x);
+      if (x != null && Number.isFinite(n)) out.push({ value: n, level });
+    }
+  }
+  return out;
+}
+
+function sparklineSvg(points, rule) {
+  const pts = recentPoints(points, SPARKLINE_HOURS);
+  if (pts.length < 2) return "";
+
+  const W = 160;
+  const H = 36;
+  const PAD = 2;
+
+  const lines = ruleLines(rule);
+  const values = pts.map(p => p.value).concat(lines.map(l => l.value));
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  if (hi === lo) { hi += 1; lo -= 1; }
+
+  const t0 = pts[0].time;
+  const t1 = pts[pts.length - 1].time;
+  const span = t1 - t0 || 1;
+
+  const x = t => PAD + ((t - t0) / span) * (W - 2 * PAD);
+  const y = v => PAD + (1 - (v - lo) / (hi - lo)) * (H - 2 * PAD);
+
+  const path = pts.map(p => `${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(" ");
+  const thresholdLines = lines
+    .map(l => `<line class="spark-th spark-th--${l.level}" x1="${PAD}" x2="${W - PAD}" y1="${y(l.value).toFixed(1)}" y2="${y(l.value).toFixed(1)}" />`)
+    .join("");
+
+  return `
+    <svg class="tile-spark" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" aria-hidden="true">
+      ${thresholdLines}
+      <polyline class="spark-line" points="${path}" />
+    </svg>`;
+}
+
+/* ---------------------------
+   TILE RENDERING
+---------------------------- */
+function tileClassFor(t) {
+  if (t.error) return "tile tile--error";
+  if (t.stale) return "tile tile--stale";
+
+  const cls = classifyParameter(t.param || "turbidity", t.stationId, t.windowKey, t.value, t.timestamp);
+  return `tile tile--${cls}${t.cachedAt ? " tile--cached" : ""}`;
+}
+
+function tileValueHtml(t) {
+  if (t.error) {
+    return `<div class="tile-value">—</div><div class="tile-sub">Error / missing</div>`;
+  }
+  const param = t.param || "turbidity";
+  const rule = triggerRuleFor(param, t.stationId, t.windowKey, t.timestamp);
+  const trend = trendHtml(seriesTrend(t.series, param), param);
+
+  return `<div class="tile-value">${escapeHtml(formatParamValue(param, t.value))}</div>
+          <div class="tile-sub">${escapeHtml(formatDateTime(t.timestamp))} · ${escapeHtml(readingAgeText(t.timestamp))}${t.stale ? " (stale)" : ""}</div>
+          ${t.missing ? `<div class="tile-sub tile-gap">${escapeHtml(missingReadingsText(t.missing))}</div>` : ""}
+          ${t.cachedAt ? `<div class="tile-cached">${escapeHtml(cachedAsOfText(t.cachedAt))}</div>` : ""}
+          ${sparklineSvg(t.series, rule)}
+          ${trend ? `<div class="tile-sub">${trend}</div>` : ""}`;
+}
+
+function cachedAsOfText(ms) {
+  return `Offline – cached as of ${formatDateTime(ms)}`;
+}
+
+function tileTitle(stationName, level) {
+  return `${stationName} – ${sensorLabel(level)}`;
+}
+
+function tileKey(t) {
+  return `${t.stationId}|${t.level}`;
+}
+
+function tileButtonHtml(t) {
+  const title = tileTitle(t.stationName, t.level);
+  const cls = t.pending ? "tile tile--loading" : tileClassFor(t);
+  const body = t.pending
+    ? `<div class="tile-value">…</div><div class="tile-sub">Loading…</div>`
+    : tileValueHtml(t);
+
+  // The station link sits beside the button, not inside it (no links within buttons)
+  return `
+      <div class="tile-wrap" data-tile-key="${escapeHtml(tileKey(t))}">
+        <button class="${cls}" data-station="${t.stationId}" aria-label="${escapeHtml(title)}">
+          <div class="tile-title">${escapeHtml(title)}</div>
+          ${calibrationBadgeHtml(t.stationId, t.level)}
+          ${body}
+        </button>
+        <a class="tile-link" href="station.html?station=${encodeURIComponent(t.stationId)}" aria-label="${escapeHtml(`${t.stationName} station page`)}">Station page</a>
+      </div>
+      `;
+}
+
+function bindTileClick(btn) {
+  btn.addEventListener("click", () => {
+    const id = btn.getAttribute("data-station");
+    // On the index page the tile focuses its map marker; its "Station page" link (and the popup) go on to station.html
+    if (focusStationOnMap(id)) return;
+    window.location.href = `station.html?station=${encodeURIComponent(id)}`;
+  });
+}
+
+function renderTilesInto(container, tiles) {
+  container.innerHTML = tiles.map(tileButtonHtml).join("");
+  container.dataset.tileKeys = tiles.map(tileKey).join(",");
+  container.querySelectorAll("button[data-station]").forEach(bindTileClick);
+}
+
+// Swap a single tile in place (used as each fetch completes)
+function updateTileIn(container, tile) {
+  const key = tileKey(tile);
+  const old = Array.from(container.querySelectorAll("[data-tile-key]"))
+    .find(el => el.getAttribute("data-tile-key") === key);
+  if (!old) return;
+
+  const tmp = document.createElement("div");
+  tmp.innerHTML = tileButtonHtml(tile).trim();
+  const wrap = tmp.firstElementChild;
+  old.replaceWith(wrap);
+  bindTileClick(wrap.querySelector("button[data-station]"));
+}
+
+// One slot per station/sensor, already in display order; known before any data arrives
+function tileSlotsFor(stations, param, windowKey) {
+  const slots = [];
+  for (const s of stations) {
+    const sensors = Array.isArray(s.sensors) ? s.sensors : ["top"];
+    for (const level of sensors) {
+      slots.push({
+        stationId: s.id,
+        stationName: s.name,
+        level,
+        param,
+        windowKey,
+        url: getParameterUrl(s, level, param, windowKey),
+        staleAfterMs: staleAfterMsFor(s, level, param, windowKey)
+      });
+    }
+  }
+  return sortTiles(slots);
+}
+
+async function resolveTile(slot) {
+  const { url, ...base } = slot;
+  const seriesLabel = base.windowKey ? `${base.param} ${base.windowKey}` : base.param;
+
+  if (!url) {
+    return { ...base, error: true, reason: `missing ${seriesLabel} URL` };
+  }
+
+  try {
+    const fetched = await fetchSeriesFromDataUrl(url);
+    // Historical view: only what had been published by the chosen instant
+    const series = __asOfMs == null ? fetched : filterSeries(fetched, { to: __asOfMs });
+    const latest = latestPoint(series);
+    if (!latest) {
+      return { ...base, error: true, reason: noReadingsReason(fetched) };
+    }
+
+    return {
+      ...base,
+      value: latest.value,
+      timestamp: latest.timestamp,
+      stale: isStale(latest.timestamp, base.staleAfterMs, dashboardNow()),
+      missing: missingReadings(series.points, dashboardNow()),
+      // Live fetch failed and this came from the last good copy (not the same as stale)
+      cachedAt: series.lastGood && __asOfMs == null ? series.fetchedAt : null,
+      dataUrl: url,
+      series: series.points,
+      error: false
+    };
+  } catch (e) {
+    console.warn(`[Tile error] ${base.stationName} ${base.level} ${seriesLabel}`, url, e);
+    return { ...base, error: true, reason: e?.message || "fetch error" };
+  }
+}
+
+/**
+ * Build tiles for one parameter (and, for turbidity, one window) across all stations.
+ * windowKey null picks each sensor's first configured window (DO, pH, temperature tiles).
+ * opts.onSlots(slots) fires before any fetch; opts.onTile(tile) fires as each tile resolves.
+ */
+async function buildParameterTiles(stations, param, windowKey, opts = {}) {
+  const slots = tileSlotsFor(stations, param, windowKey);
+  opts.onSlots?.(slots);
+
+  // Fetches run concurrently; the shared limiter in the fetch layer caps how many are live
+  const tiles = await Promise.all(
+    slots.map(async slot => {
+      const t = await resolveTile(slot);
+      opts.onTile?.(t);
+      return t;
+    })
+  );
+
+  // Summary shape:
+  // - turbidity: summary[stationId].byWindow[windowKey][level]
+  // - others:    summary[stationId].byParam[param][level]
+  const summary = {};
+  for (const t of tiles) {
+    if (!summary[t.stationId]) summary[t.stationId] = { byWindow: {}, byParam: {} };
+
+    const item = t.error
+      ? { ok: false, reason: t.reason }
+      : { ok: true, value: t.value, timestamp: t.timestamp, stale: t.stale, missing: t.missing, cachedAt: t.cachedAt, dataUrl: t.dataUrl };
+
+    if (param === "turbidity") {
+      if (!summary[t.stationId].byWindow[t.windowKey]) summary[t.stationId].byWindow[t.windowKey] = {};
+      summary[t.stationId].byWindow[t.windowKey][t.level] = item;
+    } else {
+      if (!summary[t.stationId].byParam[param]) summary[t.stationId].byParam[param] = {};
+      summary[t.stationId].byParam[param][t.level] = item;
+    }
+  }
+
+  return { tiles, summary };
+}
+
+function mergeStationSummaries(...summaries) {
+  const merged = {};
+  for (const sum of summaries) {
+    for (const [sid, rec] of Object.entries(sum || {})) {
+      if (!merged[sid]) merged[sid] = { byWindow: {}, byParam: {} };
+      for (const [wk, lv] of Object.entries(rec?.byWindow || {})) {
+        merged[sid].byWindow[wk] = { ...(merged[sid].byWindow[wk] || {}), ...lv };
+      }
+      for (const [pk, lv] of Object.entries(rec?.byParam || {})) {
+        merged[sid].byParam[pk] = { ...(merged[sid].byParam[pk] || {}), ...lv };
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Fill one tile container progressively: placeholders first (in final order),
+ * then each tile as its data arrives. On refresh the existing tiles stay up
+ * and are swapped one by one.
+ */
+async function renderTilePanel(container, stations, param, windowKey, emptyText) {
+  const { summary } = await buildParameterTiles(stations, param, windowKey, {
+    onSlots: slots => {
+      if (!container) return;
+      if (!slots.length) {
+        container.innerHTML = `<div class="tiles-loading">${escapeHtml(emptyText)}</div>`;
+        delete container.dataset.tileKeys;
+        return;
+      }
+      if (container.dataset.tileKeys !== slots.map(tileKey).join(",")) {
+        renderTilesInto(container, slots.map(sl => ({ ...sl, pending: true })));
+      }
+    },
+    onTile: t => {
+      if (container) updateTileIn(container, t);
+    }
+  });
+
+  return summary;
+}
+
+async function renderDualTurbidityTiles(stations) {
+  const el6 = document.getElementById("turbidity-tiles-6d");
+  const el15 = document.getElementById("turbidity-tiles-15d");
+  const legacy = document.getElementById("turbidity-tiles");
+
+  // Legacy single-panel layout shows the 15-day window
+  const target15 = el15 || (!el6 ? legacy : null);
+
+  const [sum6, sum15, ...others] = await Promise.all([
+    renderTilePanel(el6, stations, "turbidity", "6d", "No 6-day links configured."),
+    renderTilePanel(target15, stations, "turbidity", "15d",
+      el15 ? "No 15-day links configured." : "No turbidity links configured."),
+    ...extraTurbidityPanels(el6, stations).map(({ el, windowKey }) =>
+      renderTilePanel(el, stations, "turbidity", windowKey, `No ${windowLabel(windowKey).toLowerCase()} links configured.`))
+  ]);
+
+  return mergeStationSummaries(sum6, sum15, ...others);
+}
+
+// Turbidity windows beyond the two fixed panels get a panel of their own,
+// added beside them once and reused on refresh
+function extraTurbidityPanels(el6, stations) {
+  const split = el6?.closest(".tiles-split");
+  if (!split) return [];
+
+  return seriesWindowsFor(stations, "turbidity")
+    .filter(wk => wk !== "6d" && wk !== "15d")
+    .map(windowKey => {
+      const id = `turbidity-tiles-${windowKey}`;
+      let el = document.getElementById(id);
+      if (!el) {
+        const panel = document.createElement("div");
+        panel.className = "tiles-panel";
+        panel.innerHTML = `<div class="tiles-panel__title">${escapeHtml(windowLabel(windowKey))}</div><div class="tiles-grid"></div>`;
+        el = panel.querySelector(".tiles-grid");
+        el.id = id;
+        split.appendChild(panel);
+      }
+      return { el, windowKey };
+    });
+}
+
+async function renderParameterTiles(stations) {
+  const results = await Promise.all(
+    EXTRA_TILE_PARAMS.map(param => {
+      const el = document.getElementById(`param-tiles-${param}`);
+      if (!el) return {};
+
+      return renderTilePanel(el, stations, param, null, `No ${paramLabel(param).toLowerCase()} links configured.`);
+    })
+  );
+
+  return mergeStationSummaries(...results);
+}
+
+/* ---------------------------
+   MAP (index page)
+---------------------------- */
+let __mapState = null;
+
+// Worst-first ranking used to pick one colour per station marker
+const STATUS_SEVERITY = { red: 5, amber: 4, error: 3, stale: 2, green: 1, neutral: 0 };
+
+const MAP_STATUS_LEGEND = [
+  ["red", "Trigger exceeded"],
+  ["amber", "Investigation required"],
+  ["green", "Below trigger"],
+  ["stale", "Stale (no recent data)"],
+  ["error", "Error / missing"],
+  ["neutral", "No trigger (informational)"]
+];
+
+function summaryItemStatus(param, stationId, windowKey, item) {
+  if (!item || item.ok === false) return "error";
+  if (item.stale) return "stale";
+  return classifyParameter(param, stationId, windowKey, item.value, item.timestamp);
+}
+
+// Worst status across every sensor, window and parameter in a station summary (null if no data yet)
+function worstStationStatus(stationId, stationSummary) {
+  const statuses = [];
+
+  for (const [wk, byLevel] of Object.entries(stationSummary?.byWindow || {})) {
+    for (const item of Object.values(byLevel || {})) {
+      statuses.push(summaryItemStatus("turbidity", stationId, wk, item));
+    }
+  }
+  for (const [param, byLevel] of Object.entries(stationSummary?.byParam || {})) {
+    for (const item of Object.values(byLevel || {})) {
+      statuses.push(summaryItemStatus(param, stationId, null, item));
+    }
+  }
+
+  if (!statuses.length) return null;
+  return statuses.reduce((worst, st) => (STATUS_SEVERITY[st] > STATUS_SEVERITY[worst] ? st : worst));
+}
+
+function tooltipPlacementFor(stationId) {
+  // Default placement
+  const def = { direction: "right", offset: [10, 0] };
+
+  // Fix overlap: Estuary + Seagrass are close
+  if (stationId === "estuary") return { direction: "top", offset: [0, -14] };
+  if (stationId === "seagrass") return { direction: "bottom", offset: [0, 14] };
+
+  return def;
+}
+
+function initMap(stations) {
+  const mapEl = document.getElementById("map");
+  if (!mapEl || typeof L === "undefined") return null;
+
+  const map = L.map("map", { scrollWheelZoom: false });
+
+  L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+    attribution: "&copy; OpenStreetMap contributors"
+  }).addTo(map);
+
+  const bounds = [];
+  const markers = {};
+
+  stations.forEach(st => {
+    const coords = st.coords;
+    if (!Array.isArray(coords) || coords.length !== 2) return;
+
+    const [lat, lon] = coords;
+    bounds.push([lat, lon]);
+
+    const marker = L.circleMarker([lat, lon], {
+      radius: 8,
+      fillColor: "#000",
+      fillOpacity: 0.82,
+      color: "#fff",
+      weight: 2,
+      className: "marker-dot"
+    }).addTo(map);
+
+    const place = tooltipPlacementFor(st.id);
+
+    marker.bindTooltip(escapeHtml(st.name), {
+      permanent: true,
+      direction: place.direction,
+      offset: place.offset,
+      className: "map-label",
+      opacity: 0.95
+    });
+
+    marker.on("tooltipopen", (e) => {
+      const el = e.tooltip.getElement();
+      if (el) el.style.pointerEvents = "none";
+    });
+
+    markers[st.id] = marker;
+
+    marker.on("click", () => {
+      marker.openPopup();
+    });
+  });
+
+  if (bounds.length) map.fitBounds(bounds, { padding: [30, 30] });
+
+  addMapStatusLegend(map);
+
+  return { map, markers };
+}
+
+function addMapStatusLegend(map) {
+  const legend = L.control({ position: "bottomright" });
+
+  legend.onAdd = () => {
+    const div = L.DomUtil.create("div", "map-legend");
+    div.innerHTML = `
+      <div class="map-legend__title">Site status (worst sensor)</div>
+      ${MAP_STATUS_LEGEND.map(([cls, label]) =>
+        `<div class="map-legend__item"><span class="swatch swatch--${cls}"></span> ${escapeHtml(label)}</div>`
+      ).join("")}
+    `;
+    return div;
+  };
+
+  legend.addTo(map);
+}
+
+function updateMarkerStatus(stations, summaryByStation) {
+  if (!__mapState) return;
+  const { markers } = __mapState;
+  const turbidityWindows = seriesWindowsFor(stations, "turbidity");
+
+  stations.forEach(st => {
+    const el = markers[st.id]?.getElement?.();
+    if (!el) return;
+
+    const status = worstStationStatus(st.id, summaryByStation?.[st.id]);
+    Object.keys(STATUS_SEVERITY).forEach(k => el.classList.remove(`marker--${k}`));
+    if (status) el.classList.add(`marker--${status}`);
+  });
+}
+
+let __highlightTimer = null;
+
+// Pan to a station's marker, pulse it and open its popup
+function focusStationOnMap(stationId) {
+  const marker = __mapState?.markers?.[stationId];
+  if (!marker) return false;
+
+  const { map, markers } = __mapState;
+  map.panTo(marker.getLatLng());
+
+  Object.values(markers).forEach(m => m.getElement?.()?.classList.remove("marker--highlight"));
+  marker.getElement?.()?.classList.add("marker--highlight");
+  marker.bringToFront();
+  marker.openPopup();
+
+  clearTimeout(__highlightTimer);
+  __highlightTimer = setTimeout(() => marker.getElement?.()?.classList.remove("marker--highlight"), 4000);
+
+  document.getElementById("map")?.scrollIntoView({ behavior: "smooth", block: "center" });
+  return true;
+}
+
+function updateMapPopups(stations, summaryByStation) {
+  if (!__mapState) return;
+  const { markers } = __mapState;
+  const turbidityWindows = seriesWindowsFor(stations, "turbidity");
+
+  stations.forEach(st => {
+    const marker = markers[st.id];
+    if (!marker) return;
+
+    const popupHtml = popupHtmlForStation(st, summaryByStation?.[st.id], stationCalibrationSummary(st), turbidityWindows);
+    marker.bindPopup(popupHtml);
+  });
+}
+
+/* ---------------------------
+   HISTORICAL VIEW (index page, ?asof=)
+   - Rebuilds tiles, marker colours and popups from the readings published by a
+     past instant (Hobart wall time, or any ISO time with an offset)
+   - Staleness, gaps, reading ages, calibration badges and the trigger revision
+     are all judged at that instant; nothing refreshes and nothing notifies
+   - Reach is limited to the history each data URL still returns
+---------------------------- */
+let __asOfMs = null;
+
+// "Now" for everything the index shows: the chosen instant in a historical view
+function dashboardNow() {
+  return __asOfMs ?? Date.now();
+}
+
+function asOfFromQuery() {
+  const raw = getQueryParam("asof");
+  if (!raw) return null;
+
+  const ms = parseTimestamp(raw);
+  if (!Number.isFinite(ms)) {
+    console.warn(`Ignoring asof=${raw}: not a date/time`);
+    return null;
+  }
+  if (ms >= Date.now()) {
+    console.warn(`Ignoring asof=${raw}: in the future`);
+    return null;
+  }
+  return ms;
+}
+
+// Hobart wall time for <input type="datetime-local"> and the shareable URL
+function asOfInputValue(ms) {
+  const p = zoneParts(ms);
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)}T${pad2(p.hour)}:${pad2(p.minute)}`;
+}
+
+function asOfUrl(ms) {
+  const url = new URL(window.location.href);
+  if (ms == null) url.searchParams.delete("asof");
+  else url.searchParams.set("asof", asOfInputValue(ms));
+  return url.pathname + url.search;
+}
+
+function noReadingsReason(fetched) {
+  if (__asOfMs == null) return "no data lines found";
+  const first = fetched?.points?.[0];
+  return first && first.time > __asOfMs
+    ? `history from this link starts ${formatDateTime(first.time)}`
+    : `no readings by ${formatDateTime(__asOfMs)}`;
+}
+
+function renderAsOfBanner() {
+  const host = document.querySelector("main.layout");
+  if (!host || __asOfMs == null) return;
+
+  const banner = document.createElement("section");
+  banner.className = "panel asof-banner";
+  banner.setAttribute("role", "status");
+  banner.innerHTML = `<strong>Historical view</strong> – the dashboard as it stood at ${escapeHtml(formatDateTime(__asOfMs))}. Later readings are hidden and nothing refreshes.<a href="${escapeHtml(asOfUrl(null))}">Back to live</a>`;
+  host.insertBefore(banner, host.firstChild);
+}
+
+function initAsOfControls() {
+  const form = document.getElementById("asofForm");
+  const input = document.getElementById("asofInput");
+  const msg = document.getElementById("asofMsg");
+  const live = document.getElementById("asofLive");
+  if (!form || !input) return;
+
+  input.max = asOfInputValue(Date.now());
+  if (__asOfMs != null) input.value = asOfInputValue(__asOfMs);
+  if (live) {
+    live.href = asOfUrl(null);
+    live.hidden = __asOfMs == null;
+  }
+
+  form.addEventListener("submit", e => {
+    e.preventDefault();
+    const ms = input.value ? parseTimestamp(input.value) : NaN;
+    if (!Number.isFinite(ms)) {
+      if (msg) msg.textContent = "Choose a date and time.";
+      return;
+    }
+    if (ms >= Date.now()) {
+      if (msg) msg.textContent = "Choose a time in the past.";
+      return;
+    }
+    window.location.href = asOfUrl(ms);
+  });
+}
+
+/* ---------------------------
+   NOTIFICATIONS (index page, opt-in)
+   - Browser notifications while the page is open: a tile moving into amber or
+     red, or recovering to green (rules in lib/alerts.js)
+   - The opt-in is remembered per browser; the first render after load is the baseline
+---------------------------- */
+const NOTIFY_STORAGE_KEY = "tasports:notify";
+
+let __notifyStatuses = null;
+
+function notificationsSupported() {
+  return typeof Notification !== "undefined";
+}
+
+function notificationsEnabled() {
+  try {
+    return notificationsSupported() && Notification.permission === "granted"
+      && window.localStorage?.getItem(NOTIFY_STORAGE_KEY) === "1";
+  } catch {
+    return false;
+  }
+}
+
+function setNotificationsEnabled(on) {
+  try {
+    if (on) window.localStorage?.setItem(NOTIFY_STORAGE_KEY, "1");
+    else window.localStorage?.removeItem(NOTIFY_STORAGE_KEY);
+  } catch {
+    // Storage disabled: the choice lasts for this page only
+  }
+}
+
+function initNotifyControl() {
+  const wrap = document.getElementById("notifyControl");
+  const btn = document.getElementById("notifyToggle");
+  const msg = document.getElementById("notifyMsg");
+  if (!wrap || !btn || !notificationsSupported()) return;
+
+  const sync = (note = "") => {
+    const on = notificationsEnabled();
+    btn.textContent = on ? "Stop status notifications" : "Notify me of status changes";
+    btn.setAttribute("aria-pressed", String(on));
+    if (msg) {
+      msg.textContent = note || (Notification.permission === "denied"
+        ? "Notifications are blocked for this site in your browser settings."
+        : on ? "You will be notified while this page is open." : "");
+    }
+  };
+
+  btn.addEventListener("click", async () => {
+    if (notificationsEnabled()) {
+      setNotificationsEnabled(false);
+      sync();
+      return;
+    }
+
+    const permission = Notification.permission === "granted" ? "granted" : await Notification.requestPermission();
+    setNotificationsEnabled(permission === "granted");
+    sync(permission === "granted" ? "" : "Notifications were not allowed.");
+  });
+
+  wrap.hidden = false;
+  sync();
+}
+
+function notifyStatusChanges(stations, summaryByStation) {
+  const { snapshot, changes } = diffStatuses(__notifyStatuses, summaryReadings(stations, summaryByStation));
+  __notifyStatuses = snapshot;
+  if (!notificationsEnabled()) return;
+
+  for (const change of changes) {
+    const { title, body } = changeText(change);
+    try {
+      const n = new Notification(title, { body, tag: statusKey(change), icon: "/logo.png" });
+      n.onclick = () => {
+        window.focus();
+        focusStationOnMap(change.stationId);
+        n.close();
+      };
+    } catch (e) {
+      console.warn("Notification failed:", e);
+    }
+  }
+}
+
+/* ---------------------------
+   CONFIG VALIDATION
+   - stations.json and calibration.json are checked on load
+   - Problems are logged; ?debug=1 lists them in a diagnostics panel
+   - Each problem: { severity: "error" | "warning", path, message }
+---------------------------- */
+const KNOWN_SENSOR_LEVELS = ["top", "bottom"];
+
+function validateStationsConfig(doc) {
+  const problems = [];
+  const err = (path, message) => problems.push({ severity: "error", path, message });
+  const warn = (path, message) => problems.push({ severity: "warning", path, message });
+
+  if (!isPlainObject(doc)) {
+    err("", "stations.json must be a JSON object");
+    return problems;
+  }
+  if (!Array.isArray(doc.stations)) {
+    err("stations", "missing \"stations\" array");
+    return problems;
+  }
+  if (!doc.stations.length) warn("stations", "no stations configured");
+
+  const windowKeys = new Set((doc.schema?.windows || DEFAULT_DATA_WINDOWS).map(w => w.key));
+  const isMinutes = v => typeof v === "number" && v > 0;
+
+  (doc.schema?.windows || []).forEach((w, i) => {
+    if (w.stale_after_minutes !== undefined && !isMinutes(w.stale_after_minutes)) {
+      err(`schema.windows[${i}].stale_after_minutes`, `must be a positive number of minutes: ${w.stale_after_minutes}`);
+    }
+  });
+  const ids = new Map();
+  const dataUrls = new Map();
+
+  doc.stations.forEach((st, i) => {
+    const base = `stations[${i}]`;
+    if (!isPlainObject(st)) {
+      err(base, "station entry must be an object");
+      return;
+    }
+
+    // id / name
+    if (typeof st.id !== "string" || !st.id.trim()) {
+      err(`${base}.id`, "missing station id");
+    } else if (ids.has(st.id)) {
+      err(`${base}.id`, `duplicate id "${st.id}" (also ${ids.get(st.id)})`);
+    } else {
+      ids.set(st.id, base);
+      if (st.id !== st.id.toLowerCase()) warn(`${base}.id`, "ids are matched in lower case; use a lower-case id");
+    }
+    if (typeof st.name !== "string" || !st.name.trim()) err(`${base}.name`, "missing station name");
+
+    // coords
+    if (!Array.isArray(st.coords) || st.coords.length !== 2) {
+      err(`${base}.coords`, "coords must be [lat, lon]");
+    } else {
+      const [lat, lon] = st.coords;
+      if (typeof lat !== "number" || lat < -90 || lat > 90) err(`${base}.coords[0]`, `latitude out of range: ${lat}`);
+      if (typeof lon !== "number" || lon < -180 || lon > 180) err(`${base}.coords[1]`, `longitude out of range: ${lon}`);
+    }
+
+    // sensors
+    let sensors = ["top"];
+    if (st.sensors === undefined) {
+      warn(`${base}.sensors`, "no sensors listed; assuming [\"top\"]");
+    } else if (!Array.isArray(st.sensors) || !st.sensors.length) {
+      err(`${base}.sensors`, "sensors must be a non-empty array");
+    } else {
+      sensors = st.sensors;
+      const seen = new Set();
+      st.sensors.forEach((lv, j) => {
+        if (!KNOWN_SENSOR_LEVELS.includes(lv)) err(`${base}.sensors[${j}]`, `unknown sensor level "${lv}" (expected ${KNOWN_SENSOR_LEVELS.join(" / ")})`);
+        if (seen.has(lv)) err(`${base}.sensors[${j}]`, `duplicate sensor "${lv}"`);
+        seen.add(lv);
+      });
+    }
+
+    // values (data URLs)
+    if (!isPlainObject(st.values)) {
+      err(`${base}.values`, "missing values object");
+    } else {
+      for (const lv of Object.keys(st.values)) {
+        if (!sensors.includes(lv)) warn(`${base}.values.${lv}`, `values for "${lv}", which is not in sensors`);
+      }
+
+      for (const lv of sensors) {
+        const v = st.values[lv];
+        const vp = `${base}.values.${lv}`;
+        if (!isPlainObject(v)) {
+          err(vp, `no values for sensor "${lv}"`);
+          continue;
+        }
+
+        // values[sensor][parameter][window] = URL (legacy keys were migrated before this runs)
+        for (const [p, byWindow] of Object.entries(v)) {
+          const pp = `${vp}.${p}`;
+          if (!PARAMETERS[p]) warn(pp, `unknown parameter "${p}"`);
+          if (!isPlainObject(byWindow)) {
+            err(pp, "expected an object of window -> data URL");
+            continue;
+          }
+
+          for (const [wk, url] of Object.entries(byWindow)) {
+            const up = `${pp}.${wk}`;
+            if (!windowKeys.has(wk)) err(up, `window "${wk}" is not declared in schema.windows`);
+            if (!dataAdapterFor(url)) {
+              err(up, `no data source adapter for: ${url} (Eagle.io public/data, .csv / csv:, .json / fixture:)`);
+            } else if (dataUrls.has(url)) {
+              warn(up, `same data URL as ${dataUrls.get(url)}`);
+            } else {
+              dataUrls.set(url, up);
+            }
+          }
+        }
+
+        if (!getTurbidityUrl(st, lv, "6d")) warn(`${vp}.turbidity`, "no turbidity 6d URL");
+        if (!getTurbidityUrl(st, lv, "15d")) warn(`${vp}.turbidity`, "no turbidity 15d URL");
+        for (const p of EXTRA_TILE_PARAMS) {
+          if (!getParameterUrl(st, lv, p)) warn(`${vp}.${p}`, `no ${paramLabel(p)} URL`);
+        }
+      }
+    }
+
+    // staleness overrides: { param: minutes } or { param: { window: minutes } }
+    if (st.stale_after_minutes !== undefined) {
+      if (!isPlainObject(st.stale_after_minutes)) {
+        err(`${base}.stale_after_minutes`, "must be an object of parameter -> minutes");
+      } else {
+        for (const [p, v] of Object.entries(st.stale_after_minutes)) {
+          const sp = `${base}.stale_after_minutes.${p}`;
+          if (!PARAMETERS[p]) warn(sp, `unknown parameter "${p}"`);
+          if (isPlainObject(v)) {
+            for (const [wk, m] of Object.entries(v)) {
+              if (!windowKeys.has(wk)) err(`${sp}.${wk}`, `window "${wk}" is not declared in schema.windows`);
+              if (!isMinutes(m)) err(`${sp}.${wk}`, `must be a positive number of minutes: ${m}`);
+            }
+          } else if (!isMinutes(v)) {
+            err(sp, `must be a positive number of minutes: ${v}`);
+          }
+        }
+      }
+    }
+
+    // charts (embed URLs)
+    if (st.charts !== undefined && !isPlainObject(st.charts)) {
+      err(`${base}.charts`, "charts must be an object");
+    } else {
+      for (const lv of sensors) {
+        const c = st.charts?.[lv];
+        const cp = `${base}.charts.${lv}`;
+        if (!isPlainObject(c)) {
+          warn(cp, `no charts for sensor "${lv}"`);
+          continue;
+        }
+        for (const p of Object.keys(PARAMETERS)) {
+          if (!c[p]) warn(`${cp}.${p}`, `no ${paramLabel(p)} chart URL`);
+        }
+        for (const [k, url] of Object.entries(c)) {
+          if (!PARAMETERS[k]) warn(`${cp}.${k}`, `unknown chart key "${k}"`);
+          if (typeof url !== "string" || !EAGLE_CHART_URL_RE.test(url)) err(`${cp}.${k}`, `not an Eagle.io public/chart URL: ${url}`);
+        }
+      }
+    }
+  });
+
+  return problems;
+}
+
+function validateCalibrationConfig(doc, stations) {
+  const problems = [];
+  const err = (path, message) => problems.push({ severity: "error", path, message });
+  const warn = (path, message) => problems.push({ severity: "warning", path, message });
+
+  if (!isPlainObject(doc)) {
+    err("", "calibration.json must be a JSON object");
+    return problems;
+  }
+
+  const byId = new Map((stations || []).map(s => [s.id, s]));
+
+  // Intervals per sensor type
+  const intervals = isPlainObject(doc.calibration_interval_days) ? doc.calibration_interval_days : {};
+  if (doc.calibration_interval_days === undefined) {
+    warn("calibration_interval_days", "not set; calibration status shows as unknown for every sensor");
+  } else if (!isPlainObject(doc.calibration_interval_days)) {
+    err("calibration_interval_days", "must be an object of sensor type -> days");
+  } else {
+    for (const [type, days] of Object.entries(intervals)) {
+      if (typeof days !== "number" || !(days > 0)) err(`calibration_interval_days.${type}`, `interval must be a positive number of days: ${days}`);
+    }
+  }
+  if (doc.due_soon_days !== undefined && (typeof doc.due_soon_days !== "number" || doc.due_soon_days < 0)) {
+    err("due_soon_days", `must be a non-negative number: ${doc.due_soon_days}`);
+  }
+
+  // Shared by sensors[] and items[]: station/sensor exist, one record each, known sensor type
+  const seen = new Map();
+  const checkRecord = (base, it) => {
+    const st = byId.get(it.station);
+    if (!st) err(`${base}.station`, `unknown station "${it.station}"`);
+    else if (!(Array.isArray(st.sensors) ? st.sensors : ["top"]).includes(it.sensor)) {
+      err(`${base}.sensor`, `station "${it.station}" has no sensor "${it.sensor}"`);
+    }
+
+    const key = `${it.station}/${it.sensor}`;
+    if (seen.has(key)) warn(base, `duplicate entry for ${key} (also ${seen.get(key)})`);
+    seen.set(key, base);
+
+    if (it.sensor_type !== undefined && !(it.sensor_type in intervals)) {
+      warn(`${base}.sensor_type`, `no calibration_interval_days entry for "${it.sensor_type}"; the "default" interval is used if set`);
+    }
+  };
+  const checkDate = (path, text, what) => {
+    if (typeof text !== "string" || !text.trim()) warn(path, `no ${what} date`);
+    else if (!Number.isFinite(parseCalibrationDate(text))) err(path, `unreadable date "${text}" (expected e.g. "22 Apr 2026 08:30")`);
+  };
+
+  if (Array.isArray(doc.sensors)) {
+    doc.sensors.forEach((rec, i) => {
+      const base = `sensors[${i}]`;
+      if (!isPlainObject(rec)) {
+        err(base, "sensor record must be an object");
+        return;
+      }
+      checkRecord(base, rec);
+
+      if (!Array.isArray(rec.events)) {
+        err(`${base}.events`, "missing \"events\" array");
+        return;
+      }
+      if (!rec.events.some(ev => ev?.type === "calibration")) warn(`${base}.events`, "no calibration event recorded");
+
+      rec.events.forEach((ev, j) => {
+        const ep = `${base}.events[${j}]`;
+        if (!isPlainObject(ev)) {
+          err(ep, "event must be an object");
+          return;
+        }
+        checkDate(`${ep}.date`, ev.date, "event");
+        if (!CALIBRATION_EVENT_TYPES[ev.type]) err(`${ep}.type`, `unknown event type "${ev.type}" (expected ${Object.keys(CALIBRATION_EVENT_TYPES).join(" / ")})`);
+
+        if (ev.checks !== undefined && !Array.isArray(ev.checks)) {
+          err(`${ep}.checks`, "checks must be an array");
+          return;
+        }
+        (ev.checks || []).forEach((ck, k) => {
+          const cp = `${ep}.checks[${k}]`;
+          if (!isPlainObject(ck)) {
+            err(cp, "check must be an object");
+            return;
+          }
+          for (const f of ["reference", "pre", "post"]) {
+            if (ck[f] !== undefined && ck[f] !== null && typeof ck[f] !== "number") err(`${cp}.${f}`, `${f} must be a number: ${ck[f]}`);
+          }
+          if (ck.pre == null && ck.post == null) warn(cp, "check has neither a pre nor a post value");
+        });
+      });
+    });
+  } else if (Array.isArray(doc.items)) {
+    doc.items.forEach((it, i) => {
+      const base = `items[${i}]`;
+      if (!isPlainObject(it)) {
+        err(base, "item must be an object");
+        return;
+      }
+      checkRecord(base, it);
+      checkDate(`${base}.last_calibrated`, it.last_calibrated, "calibration");
+    });
+  } else if (isPlainObject(doc.sites)) {
+    for (const [site, date] of Object.entries(doc.sites)) {
+      if (!byId.has(site)) err(`sites.${site}`, `unknown station "${site}"`);
+      checkDate(`sites.${site}`, date, "calibration");
+    }
+  } else {
+    err("", "expected a \"sensors\" array, an \"items\" array or a \"sites\" object");
+  }
+
+  return problems;
+}
+
+function isDebugMode() {
+  return getQueryParam("debug") === "1";
+}
+
+function diagnosticsListHtml(title, problems) {
+  const errors = problems.filter(p => p.severity === "error").length;
+  const warnings = problems.filter(p => p.severity === "warning").length;
+  const infos = problems.length - errors - warnings;
+
+  const rows = problems
+    .map(p => `
+      <tr class="diag-row diag-row--${p.severity}">
+        <td>${escapeHtml(p.severity)}</td>
+        <td><code>${escapeHtml(p.path || "(root)")}</code></td>
+        <td>${escapeHtml(p.message)}</td>
+      </tr>`)
+    .join("");
+
+  return `
+    <h3 class="diag-title">${escapeHtml(title)} – ${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}${infos ? `, ${infos} note${infos === 1 ? "" : "s"}` : ""}</h3>
+    ${rows ? `<table class="cal-table diag-table"><thead><tr><th>Severity</th><th>Path</th><th>Problem</th></tr></thead><tbody>${rows}</tbody></table>` : `<div class="small subtle">No problems found.</div>`}
+  `;
+}
+
+// Operator view (?debug=1): inserted at the top of the page's main layout.
+// stationsProblems: migration notes plus validation results for the loaded document.
+async function renderDiagnosticsPanel(stationsDoc, stationsProblems, loadError) {
+  const host = document.querySelector("main.layout");
+  if (!host) return;
+
+  const panel = document.createElement("section");
+  panel.className = "panel diagnostics";
+  panel.innerHTML = `<h2>Configuration diagnostics</h2><div class="tiles-loading">Checking configuration…</div>`;
+  host.insertBefore(panel, host.firstChild);
+
+  const parts = [];
+
+  if (loadError) {
+    parts.push(diagnosticsListHtml("stations.json", [{ severity: "error", path: "", message: loadError.message || String(loadError) }]));
+  } else {
+    parts.push(diagnosticsListHtml("stations.json", stationsProblems || validateStationsConfig(stationsDoc)));
+  }
+
+  try {
+    const res = await fetch("/calibration.json", { cache: "no-store" });
+    if (!res.ok) throw new Error(`Fetch failed: ${res.status}`);
+    const cal = await res.json();
+    parts.push(diagnosticsListHtml("calibration.json", validateCalibrationConfig(cal, stationsDoc?.stations)));
+  } catch (e) {
+    parts.push(diagnosticsListHtml("calibration.json", [{ severity: "error", path: "", message: e?.message || "could not load" }]));
+  }
+
+  panel.innerHTML = `<h2>Configuration diagnostics</h2>${parts.join("")}`;
+}
+
+// Shown on every page while fixture mode is on, so nobody mistakes it for live data
+function renderFixtureBanner() {
+  const adapter = fixtureBundleAdapter();
+  const host = document.querySelector("main.layout");
+  if (!adapter || !host) return;
+
+  const live = new URL(window.location.href);
+  live.searchParams.set("fixture", "0");
+
+  const banner = document.createElement("section");
+  banner.className = "panel fixture-banner";
+  banner.setAttribute("role", "status");
+  banner.innerHTML = `<strong>Demo mode</strong> – readings come from ${escapeHtml(adapter.fetchUrl())}, not live telemetry.<a href="${escapeHtml(live.pathname + live.search)}">Show live data</a>`;
+  host.insertBefore(banner, host.firstChild);
+}
+
+/* ---------------------------
+   DOWNLOADS (CSV / JSON)
+---------------------------- */
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// columns: [{ key, header }] – header text is the stable column name written to the file
+function toCsv(rows, columns) {
+  const head = columns.map(c => csvCell(c.header)).join(",");
+  const body = rows.map(r => columns.map(c => csvCell(r[c.key])).join(","));
+  return [head, ...body].join("\r\n") + "\r\n";
+}
+
+function downloadFile(filename, text, mime) {
+  const blob = new Blob([text], { type: mime });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return "—";
+  const mins = Math.round(ms / 60000);
+  const d = Math.floor(mins / 1440);
+  const h = Math.floor((mins % 1440) / 60);
+  const m = mins % 60;
+  if (d) return `${d} d ${h} h`;
+  if (h) return `${h} h ${m} min`;
+  return `${m} min`;
+}
+
+/* ---------------------------
+   EXPORT (index + charts pages)
+   - Current readings: the station summary built alongside the tiles
+   - History: every configured series, clipped to the chosen date range
+   - Column names are fixed; units are given per row
+   - Series that fail to load appear in the history CSV as a single row with an error
+---------------------------- */
+const CURRENT_CSV_COLUMNS = [
+  { key: "station_id", header: "station_id" },
+  { key: "station", header: "station" },
+  { key: "sensor", header: "sensor" },
+  { key: "parameter", header: "parameter" },
+  { key: "window", header: "window" },
+  { key: "value", header: "value" },
+  { key: "unit", header: "unit" },
+  { key: "timestamp", header: "timestamp" },
+  { key: "status", header: "status" },
+  { key: "stale", header: "stale" },
+  { key: "error", header: "error" },
+  { key: "reason", header: "reason" }
+];
+
+const SERIES_CSV_COLUMNS = [
+  { key: "station_id", header: "station_id" },
+  { key: "station", header: "station" },
+  { key: "sensor", header: "sensor" },
+  { key: "parameter", header: "parameter" },
+  { key: "window", header: "window" },
+  { key: "timestamp", header: "timestamp" },
+  { key: "value", header: "value" },
+  { key: "unit", header: "unit" },
+  { key: "quality", header: "quality" },
+  { key: "error", header: "error" }
+];
+
+function exportUnit(param) {
+  return PARAMETERS[param]?.unitName || "";
+}
+
+// Flatten a station summary (see buildParameterTiles) into one row per station/sensor/series
+function summaryRows(stations, summaryByStation) {
+  const rows = [];
+
+  for (const st of stations) {
+    const rec = summaryByStation?.[st.id];
+    if (!rec) continue;
+
+    const push = (param, windowKey, level, item) => {
+      rows.push({
+        station_id: st.id,
+        station: st.name,
+        sensor: level,
+        parameter: param,
+        // DO / pH / temperature read the sensor's first configured window; name it
+        window: windowKey || parameterWindowKey(st, level, param, null),
+        value: item.ok ? item.value : "",
+        unit: exportUnit(param),
+        timestamp: item.ok ? formatIsoLocal(item.timestamp) : "",
+        status: item.ok ? classifyParameter(param, st.id, windowKey, item.value, item.timestamp) : "",
+        stale: item.ok ? !!item.stale : "",
+        error: !item.ok,
+        reason: item.ok ? "" : (item.reason || "")
+      });
+    };
+
+    for (const [wk, byLevel] of Object.entries(rec.byWindow || {})) {
+      for (const [level, item] of Object.entries(byLevel || {})) push("turbidity", wk, level, item);
+    }
+    for (const [param, byLevel] of Object.entries(rec.byParam || {})) {
+      for (const [level, item] of Object.entries(byLevel || {})) push(param, null, level, item);
+    }
+  }
+
+  return rows;
+}
+
+async function collectCurrentSummary(stations) {
+  // Served from the fetch cache when the tiles have just loaded the same URLs
+  const results = await Promise.all(
+    tileSeries(stations).map(({ param, windowKey }) => buildParameterTiles(stations, param, windowKey))
+  );
+  return mergeStationSummaries(...results.map(r => r.summary));
+}
+
+async function collectSeries(stations, range) {
+  const slots = tileSeries(stations).flatMap(({ param, windowKey }) => tileSlotsFor(stations, param, windowKey));
+  const byId = new Map(stations.map(s => [s.id, s]));
+
+  const out = await Promise.all(
+    slots.map(async slot => {
+      const base = {
+        station_id: slot.stationId,
+        station: slot.stationName,
+        sensor: slot.level,
+        parameter: slot.param,
+        window: slot.windowKey || parameterWindowKey(byId.get(slot.stationId), slot.level, slot.param, null),
+        unit: exportUnit(slot.param),
+        data_url: slot.url || ""
+      };
+      if (!slot.url) return { ...base, error: "missing data URL", points: [] };
+
+      try {
+        const series = await fetchSeriesFromDataUrl(slot.url, range);
+        return {
+          ...base,
+          error: "",
+          points: series.points.map(p => ({ timestamp: formatIsoLocal(p.time), value: p.value, quality: p.quality ?? "" }))
+        };
+      } catch (e) {
+        return { ...base, error: e?.message || "fetch error", points: [] };
+      }
+    })
+  );
+
+  return out;
+}
+
+// <input type="date"> values -> { from, to } covering whole Hobart days
+function exportRangeFromInputs(fromEl, toEl) {
+  const from = fromEl?.value ? parseTimestamp(`${fromEl.value}T00:00:00`) : NaN;
+  const to = toEl?.value ? parseTimestamp(`${toEl.value}T23:59:59.999`) : NaN;
+  return { from: Number.isFinite(from) ? from : null, to: Number.isFinite(to) ? to : null };
+}
+
+// Hobart calendar date "YYYY-MM-DD" (date inputs, file names)
+function isoDateInput(d) {
+  const p = zoneParts(toTimeMs(d));
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+}
+
+function initExportControls(stations) {
+  const panel = document.getElementById("export-panel");
+  if (!panel) return;
+
+  const fromEl = document.getElementById("exportFrom");
+  const toEl = document.getElementById("exportTo");
+  const msg = document.getElementById("exportMsg");
+
+  // Default range: the last 7 days
+  const today = new Date();
+  if (toEl && !toEl.value) toEl.value = isoDateInput(today);
+  if (fromEl && !fromEl.value) fromEl.value = isoDateInput(new Date(today.getTime() - 7 * 24 * HOUR_MS));
+
+  const run = async (btn, work) => {
+    btn.disabled = true;
+    if (msg) msg.textContent = "Preparing export…";
+    try {
+      await work();
+      if (msg) msg.textContent = "";
+    } catch (e) {
+      console.warn("Export failed:", e);
+      if (msg) msg.textContent = "Export failed. Please try again.";
+    } finally {
+      btn.disabled = false;
+    }
+  };
+
+  const stamp = () => isoDateInput(Date.now());
+  const currentStamp = () => (__asOfMs == null ? stamp() : `asof-${isoDateInput(__asOfMs)}`);
+
+  panel.querySelectorAll("button[data-export]").forEach(btn => {
+    btn.addEventListener("click", () => run(btn, async () => {
+      const [what, format] = btn.getAttribute("data-export").split(":");
+
+      if (what === "current") {
+        const rows = summaryRows(stations, await collectCurrentSummary(stations));
+        if (format === "csv") {
+          downloadFile(`tasports-current-${currentStamp()}.csv`, toCsv(rows, CURRENT_CSV_COLUMNS), "text/csv");
+        } else {
+          const doc = { generated_at: formatIsoLocal(Date.now()), timezone: DISPLAY_TIMEZONE, readings: rows };
+          if (__asOfMs != null) doc.as_of = formatIsoLocal(__asOfMs);
+          downloadFile(`tasports-current-${currentStamp()}.json`, JSON.stringify(doc, null, 2), "application/json");
+        }
+        return;
+      }
+
+      const range = exportRangeFromInputs(fromEl, toEl);
+      const series = await collectSeries(stations, range);
+      const label = `${fromEl?.value || "start"}_${toEl?.value || stamp()}`;
+
+      if (format === "csv") {
+        // A series that could not be fetched still gets one row, carrying the error
+        const rows = series.flatMap(s => (s.error ? [s] : s.points.map(p => ({ ...s, ...p }))));
+        downloadFile(`tasports-series-${label}.csv`, toCsv(rows, SERIES_CSV_COLUMNS), "text/csv");
+      } else {
+        const doc = {
+          generated_at: formatIsoLocal(Date.now()),
+          timezone: DISPLAY_TIMEZONE,
+          from: range.from != null ? formatIsoLocal(range.from) : null,
+          to: range.to != null ? formatIsoLocal(range.to) : null,
+          series
+        };
+        downloadFile(`tasports-series-${label}.json`, JSON.stringify(doc, null, 2), "application/json");
+      }
+    }));
+  });
+}
+
+/* ---------------------------
+   EXCEEDANCES
+   - An event starts at the first reading at or above amber and ends at the
+     first reading back below amber (end is null while it is still open)
+   - An event that escalates from amber to red is one event at level "red"
+   - Each reading is classified with the trigger revision in force at its time
+---------------------------- */
+function detectExceedances(points, classify) {
+  const events = [];
+  let cur = null;
+
+  for (const p of points || []) {
+    const status = classify(p);
+    const exceeding = status === "amber" || status === "red";
+
+    if (exceeding) {
+      if (!cur) {
+        cur = { level: status, start: p.timestamp, startMs: p.time, end: null, endMs: null, peak: p.value, peakAt: p.timestamp, lastMs: p.time };
+      }
+      if (status === "red") cur.level = "red";
+      if (p.value > cur.peak) {
+        cur.peak = p.value;
+        cur.peakAt = p.timestamp;
+      }
+      cur.lastMs = p.time;
+      continue;
+    }
+
+    if (cur) {
+      cur.end = p.timestamp;
+      cur.endMs = p.time;
+      events.push(cur);
+      cur = null;
+    }
+  }
+  if (cur) events.push(cur);
+
+  return events.map(({ lastMs, ...e }) => ({
+    ...e,
+    ongoing: e.endMs == null,
+    durationMs: (e.endMs ?? lastMs) - e.startMs
+  }));
+}
+
+function turbidityExceedances(slot, points) {
+  return detectExceedances(points, p => classifyTurbidity(slot.stationId, slot.windowKey, p.value, p.timestamp))
+    .map(e => ({
+      stationId: slot.stationId,
+      stationName: slot.stationName,
+      sensor: slot.level,
+      windowKey: slot.windowKey,
+      ...e
+    }));
+}
+
+async function collectExceedances(stations) {
+  const slots = seriesWindowsFor(stations, "turbidity").flatMap(wk => tileSlotsFor(stations, "turbidity", wk));
+  const failed = [];
+
+  const perSlot = await Promise.all(
+    slots.map(async slot => {
+      if (!slot.url) return [];
+      try {
+        const series = await fetchSeriesFromDataUrl(slot.url);
+        return turbidityExceedances(slot, series.points);
+      } catch (e) {
+        console.warn(`[Exceedances] ${slot.stationName} ${slot.level} ${slot.windowKey}`, slot.url, e);
+        failed.push(slot);
+        return [];
+      }
+    })
+  );
+
+  const events = perSlot.flat().sort((a, b) => b.startMs - a.startMs);
+  return { events, failed };
+}
+
+const EXCEEDANCE_CSV_COLUMNS = [
+  { key: "stationId", header: "site_id" },
+  { key: "stationName", header: "site" },
+  { key: "sensor", header: "sensor" },
+  { key: "windowKey", header: "window" },
+  { key: "level", header: "level" },
+  { key: "start", header: "start" },
+  { key: "end", header: "end" },
+  { key: "peak", header: "peak_fnu" },
+  { key: "peakAt", header: "peak_at" },
+  { key: "durationHours", header: "duration_hours" },
+  { key: "ongoing", header: "ongoing" }
+];
+
+function exceedanceCsv(events) {
+  const rows = events.map(e => ({
+    ...e,
+    start: formatIsoLocal(e.start),
+    end: e.end ? formatIsoLocal(e.end) : "",
+    peakAt: formatIsoLocal(e.peakAt),
+    peak: e.peak.toFixed(2),
+    durationHours: (e.durationMs / HOUR_MS).toFixed(2)
+  }));
+  return toCsv(rows, EXCEEDANCE_CSV_COLUMNS);
+}
+
+async function renderExceedancesPage(stations) {
+  const host = document.getElementById("exceedance-table");
+  if (!host) return;
+
+  const { events, failed } = await collectExceedances(stations);
+
+  const downloadBtn = document.getElementById("exceedanceCsv");
+  if (downloadBtn) {
+    downloadBtn.disabled = !events.length;
+    downloadBtn.onclick = () => {
+      const stamp = isoDateInput(Date.now());
+      downloadFile(`tasports-exceedances-${stamp}.csv`, exceedanceCsv(events), "text/csv");
+    };
+  }
+
+  const failedNote = failed.length
+    ? `<div class="small subtle" style="margin-top:8px;">${failed.length} series could not be loaded and are not included.</div>`
+    : "";
+
+  if (!events.length) {
+    host.innerHTML = `<div class="small subtle">No amber or red exceedances in the data currently published.</div>${failedNote}`;
+    return;
+  }
+
+  host.innerHTML = `${exceedanceTableHtml(events)}${failedNote}`;
+}
+
+function exceedanceTableHtml(events) {
+  const rows = events
+    .map(e => `
+      <tr>
+        <td>${escapeHtml(e.stationName)}</td>
+        <td>${escapeHtml(sensorLabel(e.sensor))}</td>
+        <td>${escapeHtml(e.windowKey)}</td>
+        <td><span class="swatch swatch--${e.level}"></span> ${escapeHtml(formatFirstLetterCapital(e.level))}</td>
+        <td>${escapeHtml(formatDateTime(e.start))}</td>
+        <td>${e.ongoing ? "Ongoing" : escapeHtml(formatDateTime(e.end))}</td>
+        <td>${escapeHtml(formatFnu(e.peak))}</td>
+        <td>${escapeHtml(formatDuration(e.durationMs))}${e.ongoing ? " (so far)" : ""}</td>
+      </tr>`)
+    .join("");
+
+  return `
+    <table class="cal-table">
+      <thead>
+        <tr><th>Site</th><th>Sensor</th><th>Window</th><th>Level</th><th>Start</th><th>End</th><th>Peak</th><th>Duration</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/* ---------------------------
+   CALIBRATION (register + status)
+   - Register parsing, intervals and status rules live in lib/calibration.js
+   - Status is judged at dashboardNow(), so the historical view sees the register as it stood
+   - Every logged event is marked on charts
+---------------------------- */
+const DAY_MS = 24 * HOUR_MS;
+// Charts shade this many hours either side of a calibration visit
+const CALIBRATION_MARK_HOURS = 3;
+
+const CALIBRATION_STATUS_LABELS = {
+  ok: "Calibrated",
+  due: "Calibration due soon",
+  overdue: "Calibration overdue",
+  unknown: "Calibration status unknown"
+};
+
+let __calibration = null;
+
+async function loadCalibration() {
+  const res = await fetch("/calibration.json", { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to load calibration.json (${res.status})`);
+  return normaliseCalibration(await res.json());
+}
+
+function calibrationStatus(entry, now = dashboardNow()) {
+  return calibrationStatusAt(entry, now);
+}
+
+// A sensor-specific entry wins over a site-wide one
+function calibrationFor(stationId, level) {
+  const entries = __calibration?.entries || [];
+  const entry = entries.find(e => e.station === stationId && e.sensor === level)
+    || entries.find(e => e.station === stationId && e.sensor == null)
+    || null;
+  return entry && __asOfMs != null ? calibrationEntryAt(entry, __asOfMs) : entry;
+}
+
+// Per-sensor calibration lines for the map popup (null until the register has loaded)
+function stationCalibrationSummary(station) {
+  if (!__calibration) return null;
+  return (Array.isArray(station.sensors) ? station.sensors : ["top"]).map(level => {
+    const e = calibrationFor(station.id, level);
+    const status = calibrationStatus(e);
+    return { level, status, label: CALIBRATION_STATUS_LABELS[status], lastText: e?.lastText || "" };
+  });
+}
+
+// Tiles only carry a badge when something needs doing
+function calibrationBadgeHtml(stationId, level) {
+  const status = calibrationStatus(calibrationFor(stationId, level));
+  if (status !== "due" && status !== "overdue") return "";
+  return `<span class="cal-badge cal-badge--${status}">${escapeHtml(CALIBRATION_STATUS_LABELS[status])}</span>`;
+}
+
+// Chart marks for every logged event on the given sensors of one station: [{ time, label }]
+function calibrationMarksFor(stationId, levels) {
+  const marks = [];
+  const entries = new Set(levels.map(level => calibrationFor(stationId, level)).filter(Boolean));
+
+  for (const e of entries) {
+    for (const ev of e.events) {
+      if (!Number.isFinite(ev.ms)) continue;
+      const label = `${e.sensor ? sensorLabel(e.sensor) : "All sensors"}: ${calibrationEventLabel(ev.type)} ${ev.dateText}`;
+      // Sensors serviced on the same visit share one mark
+      const same = marks.find(m => m.time === ev.ms);
+      if (!same) marks.push({ time: ev.ms, label });
+      else if (!same.label.split("; ").includes(label)) same.label += `; ${label}`;
+    }
+  }
+  return marks;
+}
+
+/* ---------------------------
+   CALIBRATION PAGE
+   - One row per sensor (latest calibration + status), history expands below it
+   - Station filter: #calStationFilter, preset from ?station=
+---------------------------- */
+function calibrationCheckHtml(ck) {
+  const num = v => (v == null ? "—" : escapeHtml(String(v)));
+  const unit = ck.unit ? ` ${escapeHtml(ck.unit)}` : "";
+  return `${escapeHtml(ck.parameter ? paramLabel(ck.parameter) : "Check")}: pre ${num(ck.pre)} → post ${num(ck.post)}${unit}${ck.reference != null ? ` <span class="subtle">(ref ${num(ck.reference)})</span>` : ""}`;
+}
+
+function calibrationHistoryHtml(entry) {
+  if (!entry.events.length) return `<div class="small subtle">No events recorded.</div>`;
+
+  const rows = entry.events
+    .map(ev => `
+      <tr>
+        <td>${escapeHtml(ev.dateText || "—")}</td>
+        <td><span class="cal-event cal-event--${ev.type}">${escapeHtml(calibrationEventLabel(ev.type))}</span></td>
+        <td>${ev.checks.length ? ev.checks.map(calibrationCheckHtml).join("<br/>") : "—"}</td>
+        <td>${escapeHtml(ev.notes)}${ev.technician ? `<div class="small subtle">${escapeHtml(ev.technician)}</div>` : ""}</td>
+      </tr>`)
+    .join("");
+
+  return `
+    <table class="cal-table cal-history__table">
+      <thead><tr><th>Date</th><th>Event</th><th>Checks</th><th>Notes</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function calibrationRowsHtml(entries, stationName) {
+  return entries
+    .map((e, i) => {
+      const status = calibrationStatus(e);
+      const station = escapeHtml(stationName(e.station));
+      const sensor = escapeHtml(e.sensor ? formatFirstLetterCapital(e.sensor) : "All sensors");
+      const date = escapeHtml(e.lastText || "—");
+      const due = Number.isFinite(e.dueMs) ? escapeHtml(formatCalibrationDate(e.dueMs)) : "—";
+      const historyId = `cal-history-${i}`;
+      return `
+        <tr class="cal-row cal-row--${status}">
+          <td><a href="station.html?station=${encodeURIComponent(e.station)}">${station}</a></td>
+          <td>${sensor}</td>
+          <td>${date}</td>
+          <td>${due} <span class="small subtle">(${Number.isFinite(e.intervalDays) ? `every ${e.intervalDays} d` : "interval not set"})</span></td>
+          <td><span class="cal-badge cal-badge--${status}">${escapeHtml(CALIBRATION_STATUS_LABELS[status])}</span></td>
+          <td>${escapeHtml(e.notes)}</td>
+          <td><button type="button" class="btn btn--small" aria-expanded="false" aria-controls="${historyId}">History (${e.events.length})</button></td>
+        </tr>
+        <tr class="cal-history" id="${historyId}" hidden>
+          <td colspan="7">${calibrationHistoryHtml(e)}</td>
+        </tr>`;
+    })
+    .join("");
+}
+
+async function renderCalibrationTable(stations) {
+  const host = document.getElementById("calibration-table");
+  if (!host) return;
+
+  try {
+    const cal = __calibration || await loadCalibration();
+    const names = new Map((stations || []).map(s => [s.id, s.name]));
+    const stationName = id => names.get(id) || formatFirstLetterCapital(id);
+
+    const entries = cal.entries
+      .slice()
+      .sort((a, b) => `${stationName(a.station)}-${a.sensor || ""}`.localeCompare(`${stationName(b.station)}-${b.sensor || ""}`));
+
+    if (!entries.length) {
+      host.innerHTML = `<div class="small subtle">Calibration dates are not configured.</div>`;
+      return;
+    }
+
+    const filter = document.getElementById("calStationFilter");
+    if (filter) {
+      const ids = [...new Set(entries.map(e => e.station))];
+      filter.innerHTML = `<option value="">All stations</option>`
+        + ids.map(id => `<option value="${escapeHtml(id)}">${escapeHtml(stationName(id))}</option>`).join("");
+      const preset = getQueryParam("station");
+      if (preset && ids.includes(preset)) filter.value = preset;
+    }
+
+    const draw = () => {
+      const only = filter?.value || "";
+      const shown = only ? entries.filter(e => e.station === only) : entries;
+
+      host.innerHTML = `
+        <table class="cal-table">
+          <thead>
+            <tr><th>Station</th><th>Sensor</th><th>Last calibrated</th><th>Next due</th><th>Status</th><th>Notes</th><th></th></tr>
+          </thead>
+          <tbody>${calibrationRowsHtml(shown, stationName)}</tbody>
+        </table>
+        ${cal.lastUpdated ? `<div class="small subtle" style="margin-top:8px;">Last updated: ${escapeHtml(cal.lastUpdated)}</div>` : ""}
+      `;
+
+      host.querySelectorAll("button[aria-controls]").forEach(btn => {
+        btn.addEventListener("click", () => {
+          const row = document.getElementById(btn.getAttribute("aria-controls"));
+          if (!row) return;
+          const open = btn.getAttribute("aria-expanded") !== "true";
+          btn.setAttribute("aria-expanded", String(open));
+          row.hidden = !open;
+        });
+      });
+    };
+
+    filter?.addEventListener("change", draw);
+    draw();
+  } catch (e) {
+    console.warn("Calibration table load failed:", e);
+    host.innerHTML = `<div class="small subtle">Calibration dates are not available.</div>`;
+  }
+}
+
+/* ---------------------------
+   NATIVE CHARTS (SVG)
+   - Drawn from the same data URLs as the tiles (stations.json "values")
+   - Trigger lines follow the revision in force across the plotted range
+---------------------------- */
+const SENSOR_COLOURS = { top: "#9fc3ff", bottom: "#ffb86b" };
+const SERIES_PALETTE = ["#9fc3ff", "#ffb86b", "#7ee0c3", "#e49bff", "#ffe17a", "#ff9ea1", "#a7f07a", "#8fd3ff", "#d6b3ff", "#f0c7a0"];
+
+const CHART_W = 640;
+const CHART_H = 280;
+const CHART_M = { l: 52, r: 14, t: 16, b: 30 };
+
+// [min, max] without spreading large arrays into Math.min/max
+function extent(values) {
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const v of values) {
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  return [lo, hi];
+}
+
+function niceStep(span, count) {
+  const raw = span / Math.max(count, 1);
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const norm = raw / mag;
+  const step = norm >= 5 ? 10 : norm >= 2 ? 5 : norm >= 1 ? 2 : 1;
+  return step * mag;
+}
+
+function niceTicks(lo, hi, count) {
+  const step = niceStep(hi - lo, count);
+  const out = [];
+  for (let v = Math.ceil(lo / step) * step; v <= hi + step * 1e-9; v += step) out.push(Number(v.toFixed(10)));
+  return out;
+}
+
+const TIME_TICK_STEPS = [1, 3, 6, 12, 24, 48, 7 * 24, 14 * 24].map(h => h * HOUR_MS);
+
+function timeTicks(t0, t1, count) {
+  const step = TIME_TICK_STEPS.find(s => (t1 - t0) / s <= count) || TIME_TICK_STEPS[TIME_TICK_STEPS.length - 1];
+  const out = [];
+  // Align to Hobart midnight so day ticks land on dates; day-sized steps go by
+  // calendar day so they stay on midnight across daylight-saving changes (23/25 h days)
+  const next = step >= DAY_MS ? t => startOfZonedDay(t + step + 2 * HOUR_MS) : t => t + step;
+  for (let t = startOfZonedDay(t0); t <= t1; t = next(t)) if (t >= t0) out.push(t);
+  return { ticks: out, step };
+}
+
+function timeTickLabel(t, step) {
+  const p = zoneParts(t);
+  if (step >= 24 * HOUR_MS) return `${p.day} ${SHORT_MONTHS[p.month - 1]}`;
+  return `${pad2(p.hour)}:${pad2(p.minute)}`;
+}
+
+/**
+ * Trigger lines across [from, to], split wherever the revision in force changes.
+ * Returns [{ from, to, value, level }].
+ */
+function triggerSegments(param, stationId, windowKey, from, to) {
+  const revisions = triggerConfig()?.revisions || [];
+  const bounds = [from];
+  for (const r of revisions) {
+    if (r.effectiveFromMs > from && r.effectiveFromMs < to) bounds.push(r.effectiveFromMs);
+  }
+  bounds.push(to);
+
+  const out = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const rule = triggerRuleFor(param, stationId, windowKey, new Date(bounds[i]).toISOString());
+    for (const l of ruleLines(rule)) out.push({ from: bounds[i], to: bounds[i + 1], ...l });
+  }
+  return out;
+}
+
+// Break a polyline where readings are missing for much longer than the usual interval
+function seriesPathSegments(points) {
+  if (points.length < 2) return [points];
+
+  const steps = [];
+  for (let i = 1; i < points.length; i++) steps.push(points[i].time - points[i - 1].time);
+  const sorted = steps.slice().sort((a, b) => a - b);
+  const typical = sorted[Math.floor(sorted.length / 2)];
+  const maxGap = Math.max(typical * 3, HOUR_MS);
+
+  const segs = [[points[0]]];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].time - points[i - 1].time > maxGap) segs.push([]);
+    segs[segs.length - 1].push(points[i]);
+  }
+  return segs;
+}
+
+/**
+ * spec: {
+ *   series: [{ label, colour, points }],
+ *   triggers: [{ from, to, value, level, label? }],
+ *   from, to,            // ms; null = fit to data
+ *   param                // parameter key (axis label)
+ * }
+ */
+function lineChartSvg(spec) {
+  // Hidden series still set the axes, so toggling a series never rescales the chart
+  const hidden = spec.hidden || new Set();
+  const series = (spec.series || []).filter(s => s.points?.length);
+  const allPts = series.flatMap(s => s.points);
+  if (!allPts.length) return "";
+
+  const [tMin, tMax] = extent(allPts.map(p => p.time));
+  const t0 = spec.from ?? tMin;
+  const t1 = spec.to ?? tMax;
+  const tSpan = t1 - t0 || HOUR_MS;
+
+  let [lo, hi] = extent(allPts.map(p => p.value));
+  const dataSpan = hi - lo || Math.abs(hi) || 1;
+
+  // Pull trigger lines into view when they are near the data; far-off ones get an edge note instead
+  const triggers = spec.triggers || [];
+  const reach = dataSpan * 2;
+  for (const tr of triggers) {
+    if (tr.value <= hi + reach && tr.value >= lo - reach) {
+      lo = Math.min(lo, tr.value);
+      hi = Math.max(hi, tr.value);
+    }
+  }
+  const pad = (hi - lo || 1) * 0.06;
+  lo -= pad;
+  hi += pad;
+
+  const iw = CHART_W - CHART_M.l - CHART_M.r;
+  const ih = CHART_H - CHART_M.t - CHART_M.b;
+  const x = t => CHART_M.l + ((t - t0) / tSpan) * iw;
+  const y = v => CHART_M.t + (1 - (v - lo) / (hi - lo)) * ih;
+
+  const yTicks = niceTicks(lo, hi, 5);
+  const yStep = yTicks.length > 1 ? yTicks[1] - yTicks[0] : 1;
+  const tickDecimals = Math.max(0, -Math.floor(Math.log10(yStep)));
+  const { ticks: xTicks, step } = timeTicks(t0, t1, 7);
+
+  const grid = yTicks
+    .map(v => `
+      <line class="chart-grid" x1="${CHART_M.l}" x2="${CHART_W - CHART_M.r}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}" />
+      <text class="chart-axis" x="${CHART_M.l - 6}" y="${(y(v) + 4).toFixed(1)}" text-anchor="end">${escapeHtml(v.toFixed(tickDecimals))}</text>`)
+    .join("");
+
+  const xAxis = xTicks
+    .map(t => `<text class="chart-axis" x="${x(t).toFixed(1)}" y="${CHART_H - 8}" text-anchor="middle">${escapeHtml(timeTickLabel(t, step))}</text>`)
+    .join("");
+
+  // Off-chart notes stack downwards from the top edge / upwards from the bottom edge
+  const noteCount = { above: 0, below: 0 };
+
+  const triggerSvg = triggers
+    .map(tr => {
+      const label = `${formatFirstLetterCapital(tr.level)} trigger ${tr.value}${tr.label ? ` (${tr.label})` : ""}`;
+      if (tr.value > hi || tr.value < lo) {
+        const above = tr.value > hi;
+        const n = above ? noteCount.above++ : noteCount.below++;
+        const ty = above ? CHART_M.t + 10 + n * 13 : CHART_H - CHART_M.b - 4 - n * 13;
+        return `<text class="chart-th-note chart-th-note--${tr.level}" x="${CHART_W - CHART_M.r - 4}" y="${ty}" text-anchor="end">${above ? "▲" : "▼"} ${escapeHtml(label)}</text>`;
+      }
+      const x1 = Math.max(x(tr.from), CHART_M.l);
+      const x2 = Math.min(x(tr.to), CHART_W - CHART_M.r);
+      if (x2 <= x1) return "";
+      return `<line class="chart-th chart-th--${tr.level}" x1="${x1.toFixed(1)}" x2="${x2.toFixed(1)}" y1="${y(tr.value).toFixed(1)}" y2="${y(tr.value).toFixed(1)}"><title>${escapeHtml(label)}</title></line>`;
+    })
+    .join("");
+
+  // Calibration visits: a band either side, so readings taken around them stand out
+  const markHalf = CALIBRATION_MARK_HOURS * HOUR_MS;
+  const markSvg = (spec.marks || [])
+    .map(m => {
+      const xa = Math.max(x(m.time - markHalf), CHART_M.l);
+      const xb = Math.min(x(m.time + markHalf), CHART_W - CHART_M.r);
+      if (xb <= xa) return "";
+      const xm = x(m.time);
+      const line = xm >= CHART_M.l && xm <= CHART_W - CHART_M.r
+        ? `<line class="chart-mark__line" x1="${xm.toFixed(1)}" x2="${xm.toFixed(1)}" y1="${CHART_M.t}" y2="${CHART_H - CHART_M.b}" />`
+        : "";
+      return `<g class="chart-mark"><title>${escapeHtml(m.label)}</title><rect class="chart-mark__band" x="${xa.toFixed(1)}" y="${CHART_M.t}" width="${(xb - xa).toFixed(1)}" height="${ih}" />${line}</g>`;
+    })
+    .join("");
+
+  const lines = series
+    .filter(s => !hidden.has(s.key || s.label))
+    .map(s => {
+      const d = seriesPathSegments(s.points.filter(p => p.time >= t0 && p.time <= t1))
+        .filter(seg => seg.length)
+        .map(seg => `M${seg.map(p => `${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join("L")}`)
+        .join("");
+      return d
+        ? `<path class="chart-line" d="${d}" stroke="${s.colour}" data-series="${escapeHtml(s.key || s.label)}"><title>${escapeHtml(s.label)}</title></path>`
+        : "";
+    })
+    .join("");
+
+  const unit = PARAMETERS[spec.param]?.unit || "";
+
+  return `
+    <svg class="chart-svg" viewBox="0 0 ${CHART_W} ${CHART_H}" role="img" aria-label="${escapeHtml(spec.ariaLabel || "Time series chart")}">
+      ${unit ? `<text class="chart-axis" x="4" y="${CHART_M.t - 4}">${escapeHtml(unit)}</text>` : ""}
+      <text class="chart-axis" x="${CHART_W - CHART_M.r}" y="${CHART_M.t - 4}" text-anchor="end">Hobart time (${escapeHtml(zoneLabel(zoneParts(t1).offsetMin))})</text>
+      ${grid}
+      ${xAxis}
+      ${markSvg}
+      ${triggerSvg}
+      ${lines}
+      ${spec.overlay || ""}
+    </svg>`;
+}
+
+// With opts.toggle, series entries are buttons (aria-pressed) that show/hide their line.
+// opts.marks adds the calibration key when any logged visit falls in the plotted range.
+function chartLegendHtml(series, triggers, opts = {}) {
+  const hidden = opts.hidden || new Set();
+  const items = series.map(s => {
+    const key = s.key || s.label;
+    const inner = `<span class="chart-legend__swatch" style="background:${s.colour}"></span>${escapeHtml(s.label)}`;
+    if (!opts.toggle) return `<span class="chart-legend__item" data-series="${escapeHtml(key)}">${inner}</span>`;
+
+    const on = !hidden.has(key);
+    return `<button type="button" class="chart-legend__item chart-legend__toggle${on ? "" : " is-off"}" data-series="${escapeHtml(key)}" aria-pressed="${on}">${inner}</button>`;
+  });
+
+  const levels = [...new Set((triggers || []).map(t => t.level))];
+  for (const lv of levels) {
+    items.push(`<span class="chart-legend__item"><span class="chart-legend__dash chart-legend__dash--${lv}"></span>${escapeHtml(formatFirstLetterCapital(lv))} trigger</span>`);
+  }
+  if (opts.marks?.length) {
+    items.push(`<span class="chart-legend__item"><span class="chart-legend__band"></span>Calibration / maintenance (±${CALIBRATION_MARK_HOURS} h)</span>`);
+  }
+
+  return items.length ? `<div class="chart-legend">${items.join("")}</div>` : "";
+}
+
+// Marks whose shaded band touches [from, to]
+function marksInRange(marks, from, to) {
+  const half = CALIBRATION_MARK_HOURS * HOUR_MS;
+  return marks.filter(m => m.time + half >= from && m.time - half <= to);
+}
+
+/* ---------------------------
+   CHARTS PAGE
+   - Native charts where a data URL exists, Eagle.io embeds otherwise
+   - Picker state lives in the query string (view, station, param, window,
+     sensor, range, from/to); each change is a history entry, so links can be
+     shared and back/forward step through views
+---------------------------- */
+const CHART_RANGES = {
+  "24h": 24 * HOUR_MS,
+  "7d": 7 * 24 * HOUR_MS,
+  "30d": 30 * 24 * HOUR_MS,
+  all: null
+};
+
+// Windows per parameter come from the data schema (see seriesWindowsFor)
+const CHART_PARAM_ORDER = ["turbidity", "do", "ph", "temp"];
+
+const CHART_QUERY_KEYS = ["view", "station", "param", "window", "sensor", "range", "from", "to"];
+const CHART_DEFAULT_RANGE = "7d";
+
+function buildStationOptions(stations) {
+  const sel = document.getElementById("stationPicker");
+  if (!sel) return;
+  sel.innerHTML = stations.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join("");
+}
+
+// "All sensors" plus every sensor level any station has, top/bottom first
+function buildSensorOptions(stations) {
+  const sel = document.getElementById("sensorPicker");
+  if (!sel) return;
+
+  const levels = new Set();
+  for (const s of stations) (Array.isArray(s.sensors) ? s.sensors : ["top"]).forEach(l => levels.add(l));
+  const ordered = [...KNOWN_SENSOR_LEVELS.filter(l => levels.has(l)), ...[...levels].filter(l => !KNOWN_SENSOR_LEVELS.includes(l))];
+
+  sel.innerHTML = `<option value="">All sensors</option>`
+    + ordered.map(l => `<option value="${escapeHtml(l)}">${escapeHtml(sensorLabel(l))}</option>`).join("");
+}
+
+// Pick an offered option, else the fallback, else the first option
+function setSelectValue(sel, value, fallback) {
+  if (!sel) return;
+  const offered = v => v != null && Array.from(sel.options).some(o => o.value === v);
+  if (offered(value)) sel.value = value;
+  else if (offered(fallback)) sel.value = fallback;
+  else sel.selectedIndex = 0;
+}
+
+function chartStateFromQuery() {
+  const q = new URLSearchParams(window.location.search);
+  const from = q.get("from") || "";
+  const to = q.get("to") || "";
+  return {
+    view: q.get("view") || "station",
+    station: q.get("station") || "",
+    param: q.get("param") || "",
+    window: q.get("window") || "",
+    sensor: q.get("sensor") || "",
+    // Dates on their own mean a custom range
+    range: q.get("range") || (from || to ? "custom" : CHART_DEFAULT_RANGE),
+    from,
+    to
+  };
+}
+
+// Query string for a picker state; defaults are left out and other parameters (e.g. fixture) kept
+function chartQueryString(state) {
+  const q = new URLSearchParams(window.location.search);
+  CHART_QUERY_KEYS.forEach(k => q.delete(k));
+
+  if (state.view !== "station") q.set("view", state.view);
+  for (const k of ["station", "param", "window", "sensor"]) {
+    if (state[k]) q.set(k, state[k]);
+  }
+  if (state.range !== CHART_DEFAULT_RANGE) q.set("range", state.range);
+  if (state.range === "custom") {
+    if (state.from) q.set("from", state.from);
+    if (state.to) q.set("to", state.to);
+  }
+
+  const text = q.toString();
+  return text ? `?${text}` : "";
+}
+
+// Window picker options follow the schema; the current choice is kept when still offered
+function buildWindowOptions(sel, windowKeys) {
+  if (!sel) return;
+  const keys = windowKeys.join(",");
+  if (sel.dataset.windows === keys) return;
+
+  const prev = sel.value;
+  sel.innerHTML = windowKeys.map(wk => `<option value="${escapeHtml(wk)}">${escapeHtml(windowLabel(wk))}</option>`).join("");
+  sel.dataset.windows = keys;
+  if (windowKeys.includes(prev)) sel.value = prev;
+}
+
+function buildChartCard(url, title) {
+  if (!url) return "";
+  return `
+    <div class="chart-card">
+      <div class="chart-card-head">
+        <div class="chart-title">${escapeHtml(title)}</div>
+        <a class="chart-open" href="${url}" target="_blank" rel="noopener noreferrer">Open</a>
+      </div>
+      <iframe src="${url}" loading="lazy" referrerpolicy="no-referrer"></iframe>
+    </div>
+  `;
+}
+
+function nativeChartCardHtml(index, title, openUrl) {
+  return `
+    <div class="chart-card chart-card--native" data-chart="${index}">
+      <div class="chart-card-head">
+        <div class="chart-title">${escapeHtml(title)}</div>
+        ${openUrl ? `<a class="chart-open" href="${openUrl}" target="_blank" rel="noopener noreferrer">Eagle.io</a>` : ""}
+      </div>
+      <div class="chart-body"><div class="tiles-loading">Loading chart…</div></div>
+    </div>
+  `;
+}
+
+// Resolve the picker state into an absolute { from, to } (ms; null = open-ended)
+function chartRangeFromControls() {
+  const key = document.getElementById("rangePicker")?.value || "7d";
+
+  if (key === "custom") {
+    return exportRangeFromInputs(document.getElementById("chartFrom"), document.getElementById("chartTo"));
+  }
+
+  const span = CHART_RANGES[key];
+  const to = Date.now();
+  return { from: span != null ? to - span : null, to: span != null ? to : null };
+}
+
+/**
+ * Chart specs for one station, parameter-first then TOP/BOTTOM within each parameter.
+ * Each entry is either { native: { ... } } or { iframe: { url, title } } when the
+ * sensor has no data URL for that series.
+ */
+function chartSpecsForStation(station, params, sensor) {
+  const sensors = (Array.isArray(station.sensors) ? station.sensors : ["top"]).filter(l => !sensor || l === sensor);
+  const out = [];
+
+  for (const key of CHART_PARAM_ORDER) {
+    if (params && !params.includes(key)) continue;
+
+    // Window names only go in the title when the parameter has more than one
+    const windows = seriesWindowsFor([station], key);
+    const named = windows.length > 1;
+    const withData = [];
+    const fallback = [];
+
+    for (const wk of windows) {
+      const series = [];
+      for (const level of sensors) {
+        const url = getParameterUrl(station, level, key, wk);
+        if (url) series.push({ key: level, label: sensorLabel(level), colour: SENSOR_COLOURS[level] || SERIES_PALETTE[series.length], url });
+      }
+      withData.push({
+        title: `${station.name} – ${paramLabel(key)}${named ? ` – ${windowLabel(wk)}` : ""}`,
+        stationId: station.id,
+        param: key,
+        windowKey: wk,
+        series,
+        openUrl: sensors.length === 1 ? station?.charts?.[sensors[0]]?.[key] || "" : ""
+      });
+    }
+
+    // Sensors with no data URL at all for this parameter keep their Eagle.io embed
+    for (const level of sensors) {
+      if (!getParameterUrl(station, level, key) && station?.charts?.[level]?.[key]) fallback.push(level);
+    }
+
+    out.push(...withData.map(native => ({ native })));
+    for (const level of fallback) {
+      out.push({ iframe: { url: station.charts[level][key], title: `${station.name} – ${sensorLabel(level)} – ${paramLabel(key)}` } });
+    }
+  }
+
+  return out;
+}
+
+async function fillNativeChart(card, spec, range) {
+  const body = card.querySelector(".chart-body");
+
+  const series = await Promise.all(
+    spec.series.map(async s => {
+      try {
+        const data = await fetchSeriesFromDataUrl(s.url, range);
+        return { ...s, points: data.points };
+      } catch (e) {
+        console.warn(`[Chart error] ${spec.title} ${s.label}`, s.url, e);
+        return { ...s, points: [], error: e?.message || "fetch error" };
+      }
+    })
+  );
+
+  const allPts = series.flatMap(s => s.points);
+  if (!allPts.length) {
+    const errs = series.filter(s => s.error).map(s => `${s.label}: ${s.error}`);
+    body.innerHTML = `<div class="tiles-loading">No data in the selected range.${errs.length ? ` (${escapeHtml(errs.join("; "))})` : ""}</div>`;
+    return;
+  }
+
+  const [tMin, tMax] = extent(allPts.map(p => p.time));
+  const from = range.from ?? tMin;
+  const to = range.to ?? tMax;
+  const triggers = triggerSegments(spec.param, spec.stationId, spec.windowKey, from, to);
+  const marks = marksInRange(calibrationMarksFor(spec.stationId, spec.series.map(s => s.key)), from, to);
+
+  body.innerHTML = `
+    ${lineChartSvg({ series, triggers, marks, from, to, param: spec.param, ariaLabel: spec.title })}
+    ${chartLegendHtml(series.filter(s => s.points.length), triggers, { marks })}
+    ${series.filter(s => s.error).map(s => `<div class="small subtle">${escapeHtml(s.label)}: ${escapeHtml(s.error)}</div>`).join("")}
+  `;
+}
+
+function renderChartSpecs(container, specs, range, emptyText) {
+  const natives = [];
+  container.innerHTML = specs
+    .map(sp => {
+      if (sp.iframe) return buildChartCard(sp.iframe.url, sp.iframe.title);
+      natives.push(sp.native);
+      return nativeChartCardHtml(natives.length - 1, sp.native.title, sp.native.openUrl);
+    })
+    .join("") || `<div class="small subtle">${escapeHtml(emptyText)}</div>`;
+
+  natives.forEach((spec, i) => {
+    const card = container.querySelector(`[data-chart="${i}"]`);
+    if (!card) return;
+    // If the pickers change mid-fetch the card is already detached, so a late fill is harmless
+    fillNativeChart(card, spec, range).catch(e => console.warn("Chart render failed:", e));
+  });
+}
+
+function renderChartsByStation(stations, stationId, range, sensor) {
+  const container = document.getElementById("chartsContainer");
+  const msg = document.getElementById("chartsMsg");
+  if (!container || !msg) return;
+
+  const s = stations.find(x => x.id === stationId);
+  if (!s) {
+    msg.textContent = "Station not found.";
+    container.innerHTML = "";
+    return;
+  }
+
+  msg.textContent = "";
+  renderChartSpecs(container, chartSpecsForStation(s, null, sensor), range,
+    sensor ? `No ${sensorLabel(sensor).toLowerCase()} sensor charts for this station.` : "No charts configured for this station yet.");
+}
+
+/**
+ * One combined chart for a parameter: a series per station/sensor on shared axes.
+ * Sensors without a data URL fall back to their Eagle.io embed below the chart.
+ */
+function combinedChartSpec(stations, paramKey, windowKey, sensor) {
+  const series = [];
+  const fallback = [];
+
+  for (const st of stations) {
+    const sensors = (Array.isArray(st.sensors) ? st.sensors : ["top"]).filter(l => !sensor || l === sensor);
+    for (const level of sensors) {
+      const url = getParameterUrl(st, level, paramKey, windowKey);
+      if (url) {
+        series.push({
+          key: `${st.id}:${level}`,
+          stationId: st.id,
+          level,
+          stationName: st.name,
+          label: `${st.name} – ${sensorLabel(level)}`,
+          colour: SERIES_PALETTE[series.length % SERIES_PALETTE.length],
+          url
+        });
+      } else if (st?.charts?.[level]?.[paramKey]) {
+        fallback.push({ url: st.charts[level][paramKey], title: `${st.name} – ${sensorLabel(level)} – ${paramLabel(paramKey)}` });
+      }
+    }
+  }
+
+  return {
+    title: `${paramLabel(paramKey)}${windowKey ? ` – ${windowLabel(windowKey)}` : ""} – all sites`,
+    param: paramKey,
+    windowKey,
+    series,
+    fallback
+  };
+}
+
+// Trigger lines for every station that has a visible series; identical lines are drawn once and labelled with all their sites
+function combinedTriggerSegments(spec, visibleSeries, from, to) {
+  const byLine = new Map();
+  const stationsSeen = new Set();
+
+  for (const s of visibleSeries) {
+    if (stationsSeen.has(s.stationId)) continue;
+    stationsSeen.add(s.stationId);
+
+    for (const seg of triggerSegments(spec.param, s.stationId, spec.windowKey, from, to)) {
+      const k = `${seg.from}|${seg.to}|${seg.level}|${seg.value}`;
+      if (!byLine.has(k)) byLine.set(k, { ...seg, sites: [] });
+      byLine.get(k).sites.push(s.stationName);
+    }
+  }
+
+  return [...byLine.values()].map(({ sites, ...seg }) => ({ ...seg, label: sites.join(", ") }));
+}
+
+async function renderCombinedChart(container, spec, range) {
+  container.innerHTML = `
+    ${spec.series.length ? `
+      <div class="chart-card chart-card--native chart-card--wide">
+        <div class="chart-card-head">
+          <div class="chart-title">${escapeHtml(spec.title)}</div>
+        </div>
+        <div class="chart-body"><div class="tiles-loading">Loading chart…</div></div>
+      </div>` : ""}
+    ${spec.fallback.map(f => buildChartCard(f.url, f.title)).join("")}
+  `;
+
+  if (!spec.series.length) {
+    if (!spec.fallback.length) container.innerHTML = `<div class="small subtle">No charts configured for this parameter yet.</div>`;
+    return;
+  }
+
+  const body = container.querySelector(".chart-card--wide .chart-body");
+
+  const series = await Promise.all(
+    spec.series.map(async s => {
+      try {
+        const data = await fetchSeriesFromDataUrl(s.url, range);
+        return { ...s, points: data.points };
+      } catch (e) {
+        console.warn(`[Chart error] ${s.label}`, s.url, e);
+        return { ...s, points: [], error: e?.message || "fetch error" };
+      }
+    })
+  );
+
+  const withData = series.filter(s => s.points.length);
+  if (!withData.length) {
+    body.innerHTML = `<div class="tiles-loading">No data in the selected range.</div>`;
+    return;
+  }
+
+  const [tMin, tMax] = extent(withData.flatMap(s => s.points.map(p => p.time)));
+  const from = range.from ?? tMin;
+  const to = range.to ?? tMax;
+  const hidden = new Set();
+  const errors = series.filter(s => s.error);
+
+  const draw = () => {
+    const visible = withData.filter(s => !hidden.has(s.key));
+    const triggers = combinedTriggerSegments(spec, visible, from, to);
+    const marks = marksInRange(visible.flatMap(s => calibrationMarksFor(s.stationId, [s.level])
+      .map(m => ({ ...m, label: `${s.stationName} – ${m.label}` }))), from, to);
+
+    body.innerHTML = `
+      ${lineChartSvg({ series: withData, hidden, triggers, marks, from, to, param: spec.param, ariaLabel: spec.title })}
+      ${chartLegendHtml(withData, triggers, { toggle: true, hidden, marks })}
+      ${triggers.length ? `<div class="small subtle chart-note">Trigger lines apply only to the sites named on each line (hover for details).</div>` : ""}
+      ${errors.map(s => `<div class="small subtle">${escapeHtml(s.label)}: ${escapeHtml(s.error)}</div>`).join("")}
+    `;
+
+    body.querySelectorAll("button[data-series]").forEach(btn => {
+      btn.addEventListener("click", () => {
+        const key = btn.getAttribute("data-series");
+        if (hidden.has(key)) hidden.delete(key);
+        else hidden.add(key);
+        draw();
+      });
+    });
+  };
+
+  draw();
+}
+
+function renderChartsByParameter(stations, paramKey, range, windowKey, sensor) {
+  const container = document.getElementById("chartsContainer");
+  const msg = document.getElementById("chartsMsg");
+  if (!container || !msg) return;
+
+  msg.textContent = "";
+  renderCombinedChart(container, combinedChartSpec(stations, paramKey, windowKey || null, sensor || null), range)
+    .catch(e => console.warn("Combined chart render failed:", e));
+}
+
+function initChartsPage(stations) {
+  buildStationOptions(stations);
+  buildSensorOptions(stations);
+
+  const viewMode = document.getElementById("viewMode");
+  const stationPicker = document.getElementById("stationPicker");
+  const paramPicker = document.getElementById("paramPicker");
+  const sensorPicker = document.getElementById("sensorPicker");
+  const rangePicker = document.getElementById("rangePicker");
+  const chartFrom = document.getElementById("chartFrom");
+  const chartTo = document.getElementById("chartTo");
+  const stationWrap = document.getElementById("stationPickerWrap");
+  const stationLink = document.getElementById("stationDetailLink");
+  const paramWrap = document.getElementById("paramPickerWrap");
+  const windowPicker = document.getElementById("windowPicker");
+  const windowWrap = document.getElementById("windowPickerWrap");
+  const customWraps = [document.getElementById("chartFromWrap"), document.getElementById("chartToWrap")];
+
+  // Custom range defaults to the last 7 days
+  const today = new Date();
+  const defaultTo = isoDateInput(today);
+  const defaultFrom = isoDateInput(new Date(today.getTime() - 7 * 24 * HOUR_MS));
+
+  // The window options depend on the parameter, so a requested window waits for refresh()
+  let pendingWindow = "";
+  let windowsOffered = [];
+
+  function applyState(state) {
+    setSelectValue(viewMode, state.view, "station");
+    setSelectValue(stationPicker, state.station);
+    setSelectValue(paramPicker, state.param);
+    setSelectValue(sensorPicker, state.sensor, "");
+    setSelectValue(rangePicker, state.range, CHART_DEFAULT_RANGE);
+    if (chartFrom) chartFrom.value = state.from || defaultFrom;
+    if (chartTo) chartTo.value = state.to || defaultTo;
+    pendingWindow = state.window;
+  }
+
+  function currentState() {
+    const view = viewMode?.value || "station";
+    const range = rangePicker?.value || CHART_DEFAULT_RANGE;
+    return {
+      view,
+      station: view === "station" ? stationPicker?.value || "" : "",
+      param: view === "parameter" ? paramPicker?.value || "" : "",
+      window: view === "parameter" && windowsOffered.length > 1 ? windowPicker?.value || "" : "",
+      sensor: sensorPicker?.value || "",
+      range,
+      from: range === "custom" ? chartFrom?.value || "" : "",
+      to: range === "custom" ? chartTo?.value || "" : ""
+    };
+  }
+
+  function refresh() {
+    const mode = viewMode?.value || "station";
+    const sensor = sensorPicker?.value || null;
+    const custom = rangePicker?.value === "custom";
+    customWraps.forEach(w => { if (w) w.style.display = custom ? "" : "none"; });
+
+    const range = chartRangeFromControls();
+
+    if (mode === "station") {
+      windowsOffered = [];
+      if (stationWrap) stationWrap.style.display = "";
+      if (paramWrap) paramWrap.style.display = "none";
+      if (windowWrap) windowWrap.style.display = "none";
+      if (stationLink && stationPicker) stationLink.href = `station.html?station=${encodeURIComponent(stationPicker.value)}`;
+      if (stationPicker) renderChartsByStation(stations, stationPicker.value, range, sensor);
+    } else {
+      if (stationWrap) stationWrap.style.display = "none";
+      if (paramWrap) paramWrap.style.display = "";
+      windowsOffered = paramPicker ? seriesWindowsFor(stations, paramPicker.value) : [];
+      buildWindowOptions(windowPicker, windowsOffered);
+      if (pendingWindow) setSelectValue(windowPicker, pendingWindow, windowPicker?.value);
+      if (windowWrap) windowWrap.style.display = windowsOffered.length > 1 ? "" : "none";
+      if (paramPicker) renderChartsByParameter(stations, paramPicker.value, range, windowsOffered.length > 1 ? windowPicker?.value : null, sensor);
+    }
+    pendingWindow = "";
+  }
+
+  // A picker change is a new history entry; back/forward re-apply the URL's state
+  function onPickerChange() {
+    refresh();
+    const query = chartQueryString(currentState());
+    if (query !== window.location.search) {
+      history.pushState(null, "", `${window.location.pathname}${query}${window.location.hash}`);
+    }
+  }
+
+  [viewMode, stationPicker, paramPicker, windowPicker, sensorPicker, rangePicker, chartFrom, chartTo]
+    .forEach(el => el?.addEventListener("change", onPickerChange));
+
+  window.addEventListener("popstate", () => {
+    applyState(chartStateFromQuery());
+    refresh();
+  });
+
+  applyState(chartStateFromQuery());
+  refresh();
+}
+
+/* ---------------------------
+   STATION PAGE (station.html?station=<id>)
+   - Everything comes from the station's stations.json entry
+   - One row per parameter/window with data, one column per sensor
+   - The mini-map marker takes the same worst status as the index map
+---------------------------- */
+const STATUS_LABELS = {
+  red: "Red",
+  amber: "Amber",
+  green: "Below triggers",
+  neutral: "No trigger",
+  stale: "Stale (no recent data)",
+  error: "Error / missing"
+};
+
+function statusChipHtml(status) {
+  return `<span class="status-chip"><span class="swatch swatch--${status}"></span> ${escapeHtml(STATUS_LABELS[status] || status)}</span>`;
+}
+
+function stationValueCellHtml(station, tile) {
+  if (!tile) return `<td class="small subtle">Not configured</td>`;
+  if (tile.error) return `<td>${statusChipHtml("error")}<div class="small subtle">${escapeHtml(tile.reason || "")}</div></td>`;
+
+  const status = classifyParameter(tile.param, station.id, tile.windowKey, tile.value, tile.timestamp);
+  return `
+    <td>
+      <div class="station-value">${escapeHtml(formatParamValue(tile.param, tile.value))}</div>
+      ${statusChipHtml(status)}
+      <div class="small subtle">${escapeHtml(formatDateTime(tile.timestamp))} · ${escapeHtml(readingAgeText(tile.timestamp))}</div>
+      ${tile.stale ? statusChipHtml("stale") : ""}
+      ${tile.missing ? `<div class="small tile-gap">${escapeHtml(missingReadingsText(tile.missing))}</div>` : ""}
+      ${tile.cachedAt ? `<div class="tile-cached">${escapeHtml(cachedAsOfText(tile.cachedAt))}</div>` : ""}
+    </td>`;
+}
+
+function stationFreshnessText(tiles) {
+  const ok = tiles.filter(t => !t.error);
+  if (!ok.length) return "No readings received.";
+
+  const newest = ok.reduce((a, b) => (parseTimestamp(b.timestamp) > parseTimestamp(a.timestamp) ? b : a));
+  const stale = ok.filter(t => t.stale).length;
+  const cached = ok.filter(t => t.cachedAt).length;
+  const failed = tiles.length - ok.length;
+
+  return [
+    `Newest reading ${formatDateTime(newest.timestamp)}`,
+    `${stale} of ${tiles.length} series stale`,
+    cached ? `${cached} served from the offline cache` : "",
+    failed ? `${failed} failed or missing` : "",
+    `checked ${formatTime(Date.now())}`
+  ].filter(Boolean).join(" · ");
+}
+
+function stationCalibrationHtml(station) {
+  const sensors = Array.isArray(station.sensors) ? station.sensors : ["top"];
+  if (!__calibration) return `<div class="small subtle">Calibration register unavailable.</div>`;
+
+  const rows = sensors
+    .map(level => {
+      const e = calibrationFor(station.id, level);
+      const status = calibrationStatus(e);
+      const latest = e?.events?.[0];
+      return `
+        <tr>
+          <td>${escapeHtml(sensorLabel(level))}</td>
+          <td>${escapeHtml(e?.lastText || "—")}</td>
+          <td>${e && Number.isFinite(e.dueMs) ? escapeHtml(formatCalibrationDate(e.dueMs)) : "—"}</td>
+          <td><span class="cal-badge cal-badge--${status}">${escapeHtml(CALIBRATION_STATUS_LABELS[status])}</span></td>
+          <td>${latest ? `${escapeHtml(calibrationEventLabel(latest.type))} – ${escapeHtml(latest.dateText)}` : "—"}</td>
+        </tr>`;
+    })
+    .join("");
+
+  return `
+    <table class="cal-table">
+      <thead><tr><th>Sensor</th><th>Last calibrated</th><th>Next due</th><th>Status</th><th>Latest event</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="small subtle" style="margin-top:8px;">
+      <a href="calibration.html?station=${encodeURIComponent(station.id)}">Full calibration and maintenance history</a>
+    </div>`;
+}
+
+function stationMetaHtml(station) {
+  const sensors = Array.isArray(station.sensors) ? station.sensors : ["top"];
+  const [lat, lon] = Array.isArray(station.coords) ? station.coords : [];
+  const id = encodeURIComponent(station.id);
+
+  return `
+    <dl class="station-meta">
+      <dt>Site id</dt><dd><code>${escapeHtml(station.id)}</code></dd>
+      <dt>Location</dt><dd>${Number.isFinite(lat) && Number.isFinite(lon) ? `${lat.toFixed(5)}, ${lon.toFixed(5)}` : "—"}</dd>
+      <dt>Sensors</dt><dd>${escapeHtml(sensors.map(sensorLabel).join(", "))}</dd>
+      <dt>Parameters</dt><dd>${escapeHtml(Object.keys(PARAMETERS).filter(p => seriesWindowsFor([station], p).length).map(paramLabel).join(", ") || "—")}</dd>
+    </dl>
+    <div class="btn-row">
+      <a class="btn" href="charts.html?station=${id}">Charts</a>
+      <a class="btn" href="exceedances.html">Exceedances</a>
+    </div>`;
+}
+
+function initStationMiniMap(station) {
+  const el = document.getElementById("station-map");
+  if (!el || typeof L === "undefined" || !Array.isArray(station.coords) || station.coords.length !== 2) return null;
+
+  const map = L.map(el, { scrollWheelZoom: false }).setView(station.coords, 12);
+  L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+    attribution: "&copy; OpenStreetMap contributors"
+  }).addTo(map);
+
+  const marker = L.circleMarker(station.coords, {
+    radius: 8,
+    fillColor: "#000",
+    fillOpacity: 0.82,
+    color: "#fff",
+    weight: 2,
+    className: "marker-dot"
+  }).addTo(map);
+  marker.bindTooltip(escapeHtml(station.name), { permanent: true, direction: "right", offset: [10, 0], className: "map-label", opacity: 0.95 });
+
+  // Same shape as the index map, so updateMarkerStatus works unchanged
+  return { map, markers: { [station.id]: marker } };
+}
+
+async function renderStationValues(station) {
+  const host = document.getElementById("station-detail");
+  if (!host) return null;
+
+  const sensors = Array.isArray(station.sensors) ? station.sensors : ["top"];
+  const rows = Object.keys(PARAMETERS)
+    .flatMap(param => seriesWindowsFor([station], param).map(windowKey => ({ param, windowKey })));
+
+  if (!rows.length) {
+    host.innerHTML = `<div class="small subtle">No data links configured for this station.</div>`;
+    return null;
+  }
+
+  const results = await Promise.all(rows.map(r => buildParameterTiles([station], r.param, r.windowKey)));
+
+  const body = rows
+    .map((r, i) => {
+      const byLevel = new Map(results[i].tiles.map(t => [t.level, t]));
+      const cells = sensors
+        .map(level => stationValueCellHtml(station, getParameterUrl(station, level, r.param, r.windowKey) ? byLevel.get(level) : null))
+        .join("");
+      return `<tr><th scope="row">${escapeHtml(paramLabel(r.param))}<div class="small subtle">${escapeHtml(windowLabel(r.windowKey))}</div></th>${cells}</tr>`;
+    })
+    .join("");
+
+  host.innerHTML = `
+    <table class="cal-table station-table">
+      <thead><tr><th>Parameter</th>${sensors.map(l => `<th>${escapeHtml(sensorLabel(l))}</th>`).join("")}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>`;
+
+  const configured = results.flatMap(res => res.tiles).filter(t => getParameterUrl(station, t.level, t.param, t.windowKey));
+  const fresh = document.getElementById("station-freshness");
+  if (fresh) fresh.textContent = stationFreshnessText(configured);
+
+  return mergeStationSummaries(...results.map(res => res.summary));
+}
+
+async function renderStationPage(stations) {
+  const id = getQueryParam("station");
+  const station = stations.find(s => s.id === id);
+  const title = document.getElementById("station-title");
+  const host = document.getElementById("station-detail");
+
+  if (!station) {
+    if (title) title.textContent = "Station not found";
+    if (host) host.innerHTML = `<div class="small subtle">${id ? `No station with id "${escapeHtml(id)}".` : "No station selected."} <a href="index.html">Back to the map</a></div>`;
+    return;
+  }
+
+  document.title = `TasPorts – ${station.name}`;
+  if (title) title.textContent = station.name;
+
+  const meta = document.getElementById("station-meta");
+  if (meta) meta.innerHTML = stationMetaHtml(station);
+
+  const cal = document.getElementById("station-calibration");
+  if (cal) cal.innerHTML = stationCalibrationHtml(station);
+
+  __mapState = initStationMiniMap(station);
+
+  const refresh = async () => {
+    const summary = await renderStationValues(station);
+    updateMarkerStatus([station], summary);
+  };
+
+  await refresh();
+  setInterval(refresh, 5 * 60 * 1000);
+}
+
+/* ---------------------------
+   COMPLIANCE REPORT (report.html)
+   - report.html?from=YYYY-MM-DD&to=YYYY-MM-DD, whole Hobart days (default: the last 7 days)
+   - Per site / sensor / turbidity window: median, min, max, hours in each
+     trigger state, exceedance events, data completeness and calibration status
+   - Period maths is in lib/report.js; a reading's status holds until the tile
+     would have gone stale, so hours match what the dashboard showed
+   - A period running past now stops at now
+---------------------------- */
+const REPORT_DEFAULT_DAYS = 7;
+
+const REPORT_STATE_LABELS = {
+  green: "Below trigger",
+  amber: "Amber",
+  red: "Red",
+  neutral: "No trigger",
+  nodata: "No data / stale"
+};
+
+function reportPeriodFromQuery() {
+  const today = isoDateInput(Date.now());
+  const fromText = getQueryParam("from") || isoDateInput(Date.now() - (REPORT_DEFAULT_DAYS - 1) * DAY_MS);
+  const toText = getQueryParam("to") || today;
+
+  const from = parseTimestamp(`${fromText}T00:00:00`);
+  // Exclusive end: the start of the day after "to"
+  const to = parseTimestamp(`${toText}T23:59:59.999`) + 1;
+  if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) return null;
+
+  return { fromText, toText, from, to, end: Math.min(to, Date.now()) };
+}
+
+async function reportRowFor(slot, period) {
+  const base = { ...slot, calibration: reportCalibration(slot.stationId, slot.level, period.end) };
+  if (!slot.url) return { ...base, error: "missing data URL" };
+
+  try {
+    const { points } = await fetchSeriesFromDataUrl(slot.url);
+    const classify = p => classifyTurbidity(slot.stationId, slot.windowKey, p.value, p.timestamp);
+
+    return {
+      ...base,
+      stats: periodStats(points, period.from, period.end),
+      time: timeByStatus(points, classify, period.from, period.end, slot.staleAfterMs),
+      events: turbidityExceedances(slot, points)
+        .filter(e => e.startMs < period.end && (e.endMs ?? Infinity) > period.from),
+      completeness: completeness(points, period.from, period.end, seriesCadenceMs(points)),
+      // The link may not reach back to the start of the period
+      historyFromMs: points.length && points[0].time > period.from ? points[0].time : null
+    };
+  } catch (e) {
+    console.warn(`[Report] ${slot.stationName} ${slot.level} ${slot.windowKey}`, slot.url, e);
+    return { ...base, error: e?.message || "fetch error" };
+  }
+}
+
+// Calibration status as the register stood at the end of the period
+function reportCalibration(stationId, level, at) {
+  const entry = calibrationFor(stationId, level);
+  const asAt = entry ? calibrationEntryAt(entry, at) : null;
+  const status = calibrationStatus(asAt, at);
+  return { status, label: CALIBRATION_STATUS_LABELS[status], lastText: asAt?.lastText || "" };
+}
+
+function reportFnu(value) {
+  return Number.isFinite(value) ? formatFnu(value) : "—";
+}
+
+function reportHours(ms) {
+  return (ms / HOUR_MS).toFixed(1);
+}
+
+function reportCompletenessText(c) {
+  if (c.pct == null) return c.received ? `${c.received} readings` : "—";
+  return `${c.pct.toFixed(1)}% (${c.received}/${c.expected})`;
+}
+
+function reportRowHtml(r) {
+  const lead = `
+        <td>${escapeHtml(sensorLabel(r.level))}</td>
+        <td>${escapeHtml(windowLabel(r.windowKey))}</td>`;
+  const cal = `<td><span class="cal-badge cal-badge--${r.calibration.status}">${escapeHtml(r.calibration.label)}</span>${r.calibration.lastText ? `<div class="small subtle">${escapeHtml(r.calibration.lastText)}</div>` : ""}</td>`;
+
+  if (r.error) {
+    return `<tr>${lead}<td colspan="${5 + REPORT_STATES.length}" class="subtle">Error: ${escapeHtml(r.error)}</td>${cal}</tr>`;
+  }
+
+  const { stats, time, events } = r;
+  const red = events.filter(e => e.level === "red").length;
+  const note = r.historyFromMs ? `<div class="small subtle">Data from ${escapeHtml(formatDateTime(r.historyFromMs))}</div>` : "";
+
+  return `
+      <tr>${lead}
+        <td>${escapeHtml(reportFnu(stats.median))}</td>
+        <td>${escapeHtml(reportFnu(stats.min))}</td>
+        <td>${escapeHtml(reportFnu(stats.max))}</td>
+        ${REPORT_STATES.map(st => `<td>${reportHours(time[st])}</td>`).join("")}
+        <td>${events.length}${red ? ` (${red} red)` : ""}</td>
+        <td>${escapeHtml(reportCompletenessText(r.completeness))}${note}</td>
+        ${cal}
+      </tr>`;
+}
+
+function reportSiteHtml(stationName, rows) {
+  return `
+    <section class="panel report-site">
+      <h2>${escapeHtml(stationName)}</h2>
+      <table class="cal-table report-table">
+        <thead>
+          <tr>
+            <th>Sensor</th><th>Window</th><th>Median</th><th>Min</th><th>Max</th>
+            ${REPORT_STATES.map(st => `<th>${escapeHtml(REPORT_STATE_LABELS[st])} (h)</th>`).join("")}
+            <th>Events</th><th>Completeness</th><th>Calibration</th>
+          </tr>
+        </thead>
+        <tbody>${rows.map(reportRowHtml).join("")}</tbody>
+      </table>
+    </section>`;
+}
+
+function reportTriggerText(period) {
+  const first = triggerRevisionAt(period.from);
+  const last = triggerRevisionAt(period.end - 1);
+  const name = r => (r ? `${r.label || r.id}${r.document ? ` (${r.document})` : ""}` : "none");
+  if (!first && !last) return "Trigger values unavailable.";
+  return first === last
+    ? `Triggers: ${name(last)}.`
+    : `Triggers: ${name(first)}, then ${name(last)} from ${formatDate(last.effectiveFromMs)}.`;
+}
+
+/**
+ * Per-station rows ({ stationId, stationName, level, windowKey }) grouped as
+ * [{ name, rows }]: sites in first-seen (tile) order, each site's rows by sensor,
+ * then by position in windowOrder; rows that tie keep their order.
+ * Shared by the report and data health pages.
+ */
+function rowsBySite(rows, windowOrder = []) {
+  const bySite = new Map();
+  for (const r of rows) {
+    if (!bySite.has(r.stationId)) bySite.set(r.stationId, { name: r.stationName, rows: [] });
+    bySite.get(r.stationId).rows.push(r);
+  }
+
+  const levelOrder = level => ({ top: 0, bottom: 1 })[String(level).toLowerCase()] ?? 9;
+  const sites = Array.from(bySite.values());
+  for (const site of sites) {
+    site.rows.sort((a, b) => levelOrder(a.level) - levelOrder(b.level)
+      || windowOrder.indexOf(a.windowKey) - windowOrder.indexOf(b.windowKey));
+  }
+  return sites;
+}
+
+async function renderReportPage(stations) {
+  const host = document.getElementById("report-body");
+  if (!host) return;
+
+  const fromEl = document.getElementById("reportFrom");
+  const toEl = document.getElementById("reportTo");
+  document.getElementById("reportPrint")?.addEventListener("click", () => window.print());
+
+  const period = reportPeriodFromQuery();
+  if (!period) {
+    host.innerHTML = `<div class="small subtle">Choose a start date on or before the end date.</div>`;
+    return;
+  }
+  if (fromEl) fromEl.value = period.fromText;
+  if (toEl) toEl.value = period.toText;
+
+  const slots = seriesWindowsFor(stations, "turbidity").flatMap(wk => tileSlotsFor(stations, "turbidity", wk));
+  const rows = await Promise.all(slots.map(slot => reportRowFor(slot, period)));
+
+  const sites = rowsBySite(rows, seriesWindowsFor(stations, "turbidity"));
+
+  const events = rows.flatMap(r => r.events || []).sort((a, b) => a.startMs - b.startMs);
+  const lastDay = formatDate(period.to - 1);
+  const partial = period.end < period.to ? ` (to ${formatDateTime(period.end)})` : "";
+
+  document.title = `TasPorts – Compliance report ${period.fromText} to ${period.toText}`;
+  host.innerHTML = `
+    <section class="panel report-summary">
+      <h2>Turbidity compliance summary: ${escapeHtml(formatDate(period.from))} – ${escapeHtml(lastDay)}${escapeHtml(partial)}</h2>
+      ${isFixtureMode() ? `<p class="report-demo"><strong>DEMO DATA</strong> – built from recorded fixture readings, not live telemetry. Not for compliance use.</p>` : ""}
+      <p class="small subtle">
+        All times Hobart (AEST / AEDT). Generated ${escapeHtml(formatDateTime(Date.now()))}.
+        ${escapeHtml(reportTriggerText(period))}
+        Calibration status is as at the end of the period.
+      </p>
+      <p class="small subtle">
+        Hours: a reading's status holds until the next reading, or until the series would show as stale.
+        Completeness: readings received against those due at each series' usual interval.
+        Data are as published by the telemetry links and may be unvalidated.
+      </p>
+    </section>
+    ${sites.map(site => reportSiteHtml(site.name, site.rows)).join("")}
+    <section class="panel report-events">
+      <h2>Exceedance events in the period</h2>
+      ${events.length
+        ? exceedanceTableHtml(events)
+        : `<div class="small subtle">No amber or red exceedances in the period.</div>`}
+    </section>
+  `;
+}
+
+/* ---------------------------
+   DATA HEALTH (health.html)
+   - Every configured series per sensor: readings received vs due over 24 h,
+     7 d and 30 d, the longest gap in 30 d, and fetch failures by reason
+   - Per station: a 30-day availability bar, one cell per Hobart day
+   - Counts only reach back as far as each link's history; earlier time is
+     not counted as missing (marked * where a period is cut short)
+   - Fetch failures are the ones this browser has logged (lib/fetch.js)
+---------------------------- */
+const HEALTH_PERIODS = [
+  { key: "24h", label: "24 h", ms: DAY_MS },
+  { key: "7d", label: "7 d", ms: 7 * DAY_MS },
+  { key: "30d", label: "30 d", ms: 30 * DAY_MS }
+];
+const HEALTH_BAR_DAYS = 30;
+
+async function healthRowFor(slot, now, failures) {
+  const fetchUrl = slot.url ? dataAdapterFor(slot.url)?.fetchUrl(slot.url) : null;
+  const base = { ...slot, failures: failures.filter(f => f.url === fetchUrl) };
+
+  try {
+    const series = await fetchSeriesFromDataUrl(slot.url);
+    const points = series.points;
+    const latest = latestPoint(series);
+    const firstMs = points.length ? points[0].time : null;
+    const cadenceMs = seriesCadenceMs(points);
+
+    return {
+      ...base,
+      points,
+      firstMs,
+      cadenceMs,
+      periods: HEALTH_PERIODS.map(p => ({
+        ...p,
+        ...completeness(points, Math.max(now - p.ms, firstMs ?? -Infinity), now, cadenceMs),
+        partial: firstMs != null && firstMs > now - p.ms
+      })),
+      gap: longestGap(points, now - HEALTH_PERIODS[HEALTH_PERIODS.length - 1].ms, now),
+      status: !latest ? "error" : isStale(latest.timestamp, slot.staleAfterMs, now) ? "stale" : "ok",
+      reason: latest ? "" : "no data lines found",
+      cachedAt: series.lastGood ? series.fetchedAt : null
+    };
+  } catch (e) {
+    console.warn(`[Health] ${slot.stationName} ${slot.level} ${slot.param} ${slot.windowKey || ""}`, slot.url, e);
+    return { ...base, status: "error", reason: e?.message || "fetch error", points: [] };
+  }
+}
+
+// Hobart day starts, oldest first, ending with today's
+function healthDayStarts(now, days) {
+  const starts = [startOfZonedDay(now)];
+  while (starts.length < days) starts.unshift(startOfZonedDay(starts[0] - 1));
+  return starts;
+}
+
+// One cell per day: readings received / due across the station's series (null = before any history)
+function stationAvailability(rows, now) {
+  return healthDayStarts(now, HEALTH_BAR_DAYS).map(dayStart => {
+    const dayEnd = Math.min(startOfZonedDay(dayStart + DAY_MS + 2 * HOUR_MS), now);
+    let expected = 0;
+    let received = 0;
+    for (const r of rows) {
+      if (r.firstMs == null || !r.cadenceMs || r.firstMs >= dayEnd) continue;
+      const c = completeness(r.points, Math.max(dayStart, r.firstMs), dayEnd, r.cadenceMs);
+      expected += c.expected;
+      received += Math.min(c.received, c.expected);
+    }
+    return { dayStart, expected, received, pct: expected ? (received / expected) * 100 : null };
+  });
+}
+
+function availabilityClass(pct) {
+  if (pct == null) return "avail-cell--none";
+  if (pct >= 95) return "avail-cell--full";
+  if (pct >= 50) return "avail-cell--partial";
+  return "avail-cell--poor";
+}
+
+function availabilityBarHtml(days) {
+  const cells = days.map(d => {
+    const title = `${formatDate(d.dayStart)}: ${d.pct == null ? "no history" : `${d.pct.toFixed(0)}% (${d.received}/${d.expected})`}`;
+    return `<span class="avail-cell ${availabilityClass(d.pct)}" title="${escapeHtml(title)}"></span>`;
+  }).join("");
+  return `<div class="avail-bar" role="img" aria-label="Daily data availability, last ${HEALTH_BAR_DAYS} days">${cells}</div>`;
+}
+
+function healthPeriodCellHtml(p) {
+  if (p.pct == null) return `<td>${p.received ? `${p.received} received` : "—"}</td>`;
+  const mark = p.partial ? `<span title="The link's history starts inside this period">*</span>` : "";
+  return `<td>${p.received}/${p.expected}${mark} <span class="subtle">(${p.pct.toFixed(1)}%)</span></td>`;
+}
+
+function healthFailuresText(failures) {
+  if (!failures.length) return "None";
+  const byReason = new Map();
+  for (const f of failures) byReason.set(f.reason, (byReason.get(f.reason) || 0) + 1);
+  return Array.from(byReason, ([reason, n]) => `${reason} × ${n}`).join(", ");
+}
+
+function healthRowHtml(r) {
+  const series = r.windowKey ? `${paramLabel(r.param)} – ${windowLabel(r.windowKey)}` : paramLabel(r.param);
+  const now = r.status === "error"
+    ? `${statusChipHtml("error")}<div class="small subtle">${escapeHtml(r.reason)}</div>`
+    : `${r.status === "stale" ? statusChipHtml("stale") : "OK"}${r.cachedAt ? `<div class="small subtle">${escapeHtml(cachedAsOfText(r.cachedAt))}</div>` : ""}`;
+  const gap = r.gap
+    ? `${escapeHtml(formatDuration(r.gap.ms))}${r.gap.ongoing ? " (ongoing)" : ""}<div class="small subtle">from ${escapeHtml(formatDateTime(r.gap.startMs))}</div>`
+    : "—";
+
+  return `
+      <tr>
+        <td>${escapeHtml(sensorLabel(r.level))}</td>
+        <td>${escapeHtml(series)}</td>
+        ${(r.periods || HEALTH_PERIODS.map(() => ({ pct: null, received: 0 }))).map(healthPeriodCellHtml).join("")}
+        <td>${gap}</td>
+        <td>${escapeHtml(healthFailuresText(r.failures))}</td>
+        <td>${now}</td>
+      </tr>`;
+}
+
+function healthStationHtml(site, now) {
+  const days = stationAvailability(site.rows, now);
+  const week = days.slice(-7).reduce((acc, d) => ({ e: acc.e + d.expected, r: acc.r + d.received }), { e: 0, r: 0 });
+  const weekText = week.e ? `${((week.r / week.e) * 100).toFixed(1)}% of readings received in the last 7 days` : "No readings due in the last 7 days";
+
+  return `
+    <section class="panel health-site">
+      <div class="panel-head">
+        <div>
+          <h2>${escapeHtml(site.name)}</h2>
+          <p class="small subtle">${escapeHtml(weekText)}</p>
+        </div>
+        ${availabilityBarHtml(days)}
+      </div>
+      <table class="cal-table health-table">
+        <thead>
+          <tr>
+            <th>Sensor</th><th>Series</th>
+            ${HEALTH_PERIODS.map(p => `<th>${escapeHtml(p.label)}</th>`).join("")}
+            <th>Longest gap (30 d)</th><th>Fetch failures (30 d)</th><th>Now</th>
+          </tr>
+        </thead>
+        <tbody>${site.rows.map(healthRowHtml).join("")}</tbody>
+      </table>
+    </section>`;
+}
+
+async function renderHealthPage(stations) {
+  const host = document.getElementById("health-body");
+  if (!host) return;
+
+  const now = Date.now();
+  const failures = fetchFailures(now - HEALTH_PERIODS[HEALTH_PERIODS.length - 1].ms);
+  // Series a sensor does not have are not outages
+  const slots = tileSeries(stations)
+    .flatMap(({ param, windowKey }) => tileSlotsFor(stations, param, windowKey))
+    .filter(slot => slot.url);
+  const rows = await Promise.all(slots.map(slot => healthRowFor(slot, now, failures)));
+
+  const sites = rowsBySite(rows);
+
+  host.innerHTML = `
+    <p class="small subtle">
+      Checked ${escapeHtml(formatDateTime(now))}. Readings due follow each series' usual interval.
+      * The link's history starts inside the period, so the earlier part is not counted.
+      Fetch failures are those logged by this browser over the last 30 days.
+    </p>
+    ${sites.map(site => healthStationHtml(site, now)).join("")}
+  `;
+}
+
+/* ---------------------------
+   BOOT
+---------------------------- */
+(async function main() {
+  let stationsDoc = null;
+
+  // Offline shell + last-good data (sw.js); everything still works without it
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("/sw.js").catch(e => console.warn("Service worker registration failed:", e));
+  }
+
+  try {
+    const migrated = migrateStationsConfig(await loadStationsDocument());
+    stationsDoc = migrated.doc;
+    setDataWindows(stationsDoc?.schema?.windows);
+    const stations = stationsDoc.stations || [];
+    const page = currentPage();
+
+    const problems = [...migrated.problems, ...validateStationsConfig(stationsDoc)];
+    const serious = problems.filter(p => p.severity !== "info");
+    if (serious.length) console.warn(`[Config] stations.json: ${serious.length} problem(s)`, serious);
+    if (isDebugMode()) {
+      renderDiagnosticsPanel(stationsDoc, problems).catch(e => console.warn("Diagnostics panel failed:", e));
+    }
+    if (isFixtureMode()) renderFixtureBanner();
+    if (page === "index") {
+      __asOfMs = asOfFromQuery();
+      renderAsOfBanner();
+    }
+
+    if (page === "index" || page === "exceedances" || page === "charts" || page === "station" || page === "report") {
+      try {
+        setTriggerConfig(await loadTriggers());
+      } catch (e) {
+        // Tiles still render without triggers (as "neutral"); the legend says why
+        console.warn("Trigger config load failed:", e);
+      }
+      renderTriggerRevisionNote();
+    }
+
+    if (page === "index" || page === "charts" || page === "calibration" || page === "station" || page === "report") {
+      try {
+        __calibration = await loadCalibration();
+      } catch (e) {
+        // No badges or chart marks without the register; the data still renders
+        console.warn("Calibration register load failed:", e);
+      }
+    }
+
+    if (page === "index" || page === "charts") {
+      initExportControls(stations);
+    }
+
+    if (page === "index") {
+      __mapState = initMap(stations);
+
+      const renderAll = async () => {
+        const [turb, other] = await Promise.all([
+          renderDualTurbidityTiles(stations),
+          renderParameterTiles(stations)
+        ]);
+        return mergeStationSummaries(turb, other);
+      };
+
+      initAsOfControls();
+
+      const summaryByStation = await renderAll();
+      updateMapPopups(stations, summaryByStation);
+      updateMarkerStatus(stations, summaryByStation);
+
+      // A historical view is fixed: no refresh, no notifications
+      if (__asOfMs != null) return;
+
+      initNotifyControl();
+      notifyStatusChanges(stations, summaryByStation);
+
+      setInterval(async () => {
+        const sum = await renderAll();
+        updateMapPopups(stations, sum);
+        updateMarkerStatus(stations, sum);
+        notifyStatusChanges(stations, sum);
+      }, 5 * 60 * 1000);
+    }
+
+    if (page === "charts") {
+      initChartsPage(stations);
+    }
+
+    if (page === "calibration") {
+      await renderCalibrationTable(stations);
+    }
+
+    if (page === "exceedances") {
+      await renderExceedancesPage(stations);
+    }
+
+    if (page === "station") {
+      await renderStationPage(stations);
+    }
+
+    if (page === "report") {
+      await renderReportPage(stations);
+    }
+
+    if (page === "health") {
+      await renderHealthPage(stations);
+    }
+  } catch (err) {
+    console.error(err);
+    // A later failure already has the panel from the try block
+    if (isDebugMode() && !stationsDoc) {
+      renderDiagnosticsPanel(null, null, err).catch(e => console.warn("Diagnostics panel failed:", e));
+    }
+
+    const el6 = document.getElementById("turbidity-tiles-6d");
+    const el15 = document.getElementById("turbidity-tiles-15d");
+    const legacy = document.getElementById("turbidity-tiles");
+    const msg = "Failed to load configuration. Check stations.json.";
+
+    if (el6) el6.innerHTML = `<div class="tiles-loading">${msg}</div>`;
+    if (el15) el15.innerHTML = `<div class="tiles-loading">${msg}</div>`;
+    if (!el6 && !el15 && legacy) legacy.innerHTML = `<div class="tiles-loading">${msg}</div>`;
+
+    const chartsMsg = document.getElementById("chartsMsg");
+    if (chartsMsg) chartsMsg.textContent = msg;
+
+    const calHost = document.getElementById("calibration-table");
+    if (calHost) calHost.innerHTML = `<div class="small subtle">${msg}</div>`;
+
+    const excHost = document.getElementById("exceedance-table");
+    if (excHost) excHost.innerHTML = `<div class="small subtle">${msg}</div>`;
+
+    const stationHost = document.getElementById("station-detail");
+    if (stationHost) stationHost.innerHTML = `<div class="small subtle">${msg}</div>`;
+
+    const reportHost = document.getElementById("report-body");
+    if (reportHost) reportHost.innerHTML = `<div class="small subtle">${msg}</div>`;
+
+    const healthHost = document.getElementById("health-body");
+    if (healthHost) healthHost.innerHTML = `<div class="small subtle">${msg}</div>`;
+  }
+})();``
@@ -0,0 +1,128 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/alerts.js
+   - Status changes worth telling someone about (browser notifications, scripts/alert-webhook.js)
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./time.js"), require("./params.js"), require("./thresholds.js"), require("./datakeys.js"));
+  } else {
+    Object.assign(root, factory(root, root, root, root));
+  }
+})(typeof self !== "undefined" ? self : this, function (hobartTime, params, thresholds, datakeys) {
+  "use strict";
+
+  const { formatDateTime } = hobartTime;
+  const { formatParamValue, paramLabel } = params;
+  const { classifyParameter } = thresholds;
+  const { windowLabel } = datakeys;
+
+  /* ---------------------------
+     ALERTS (status changes)
+     - A reading's status is the tile status: amber / red / green / neutral from
+       the trigger rules, or "stale" / "error" when there is no current value
+     - Stale and error readings are not a change: the last real status is kept,
+       so a site that drops out and comes back amber is not reported twice
+     - Reported: moving into amber or red (including amber <-> red), and recovering
+       from amber or red to green
+     - The first snapshot is the baseline; nothing is reported for it
+  ---------------------------- */
+  const ALERT_STATUSES = new Set(["amber", "red"]);
+  const KNOWN_STATUSES = new Set(["green", "amber", "red", "neutral"]);
+
+  function statusKey(r) {
+    return [r.stationId, r.sensor, r.param, r.windowKey || ""].join("|");
+  }
+
+  /**
+   * Flatten a station summary (the shape tiles build) into readings:
+   * [{ stationId, stationName, sensor, param, windowKey, ok, value, timestamp, stale }]
+   */
+  function summaryReadings(stations, summaryByStation) {
+    const out = [];
+    for (const st of stations || []) {
+      const rec = summaryByStation?.[st.id];
+      if (!rec) continue;
+
+      const push = (param, windowKey, sensor, item) => out.push({
+        stationId: st.id,
+        stationName: st.name,
+        sensor,
+        param,
+        windowKey,
+        ok: !!item?.ok,
+        value: item?.value,
+        timestamp: item?.timestamp,
+        stale: !!item?.stale
+      });
+
+      for (const [wk, byLevel] of Object.entries(rec.byWindow || {})) {
+        for (const [lv, item] of Object.entries(byLevel || {})) push("turbidity", wk, lv, item);
+      }
+      for (const [param, byLevel] of Object.entries(rec.byParam || {})) {
+        for (const [lv, item] of Object.entries(byLevel || {})) push(param, null, lv, item);
+      }
+    }
+    return out;
+  }
+
+  function readingStatus(r) {
+    if (!r?.ok || !Number.isFinite(r.value)) return "error";
+    if (r.stale) return "stale";
+    return classifyParameter(r.param, r.stationId, r.windowKey, r.value, r.timestamp);
+  }
+
+  /**
+   * Compare readings against the previous snapshot ({ [statusKey]: status }).
+   * Returns { snapshot, changes }; pass snapshot back in next time.
+   * Each change: { kind: "alert" | "recovery", from, to, ...reading }.
+   */
+  function diffStatuses(prev, readings) {
+    const snapshot = { ...(prev || {}) };
+    const changes = [];
+
+    for (const r of readings || []) {
+      const key = statusKey(r);
+      const to = readingStatus(r);
+      if (!KNOWN_STATUSES.has(to)) continue;
+
+      const from = prev?.[key];
+      snapshot[key] = to;
+      if (!from || from === to) continue;
+
+      if (ALERT_STATUSES.has(to)) changes.push({ ...r, kind: "alert", from, to });
+      else if (ALERT_STATUSES.has(from) && to === "green") changes.push({ ...r, kind: "recovery", from, to });
+    }
+
+    return { snapshot, changes };
+  }
+
+  // { title, body } for a notification or webhook message
+  function changeText(change) {
+    const series = [
+      paramLabel(change.param),
+      change.windowKey ? windowLabel(change.windowKey).toLowerCase() : ""
+    ].filter(Boolean).join(" ");
+    const where = `${change.stationName || change.stationId} ${sensorName(change.sensor)}`;
+    const reading = `${formatParamValue(change.param, change.value)} at ${formatDateTime(change.timestamp)}`;
+
+    if (change.kind === "recovery") {
+      return { title: `${where}: ${series} back within trigger`, body: `${reading} (was ${change.from})` };
+    }
+    return { title: `${where}: ${series} ${change.to.toUpperCase()}`, body: `${reading} (was ${change.from})` };
+  }
+
+  function sensorName(level) {
+    const s = String(level ?? "").trim().toLowerCase();
+    return s === "top" || s === "bottom" ? `${s} sensor` : s;
+  }
+
+  return {
+    statusKey,
+    summaryReadings,
+    readingStatus,
+    diffStatuses,
+    changeText
+  };
+});
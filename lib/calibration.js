@@ -0,0 +1,187 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/calibration.js
+   - Calibration register (calibration.json): dates, intervals, due dates and status
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./util.js"), require("./time.js"), require("./params.js"));
+  } else {
+    Object.assign(root, factory(root, root, root));
+  }
+})(typeof self !== "undefined" ? self : this, function (util, time, params) {
+  "use strict";
+
+  const { isPlainObject } = util;
+  const { zonedTimeToMs, zoneParts, parseTimestamp, formatDateTime, formatDate } = time;
+  const { PARAMETERS } = params;
+
+  /* ---------------------------
+     CALIBRATION REGISTER
+     - calibration.json: sensors[] with an events history per sensor; legacy items[] / sites{} still load
+     - Dates are written like "22 Apr 2026 08:30" (local time); ISO dates also parse
+     - calibration_interval_days: { "default": n, "<sensor_type>": n }; records may set sensor_type
+     - No interval for a sensor (no default either) leaves its due date and status unknown
+     - Status: ok -> due (within due_soon_days of the due date) -> overdue
+     - Only "calibration" events restart the interval
+  ---------------------------- */
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const CALIBRATION_DEFAULT_DUE_SOON_DAYS = 7;
+
+  const CALIBRATION_EVENT_TYPES = {
+    calibration: "Calibration",
+    clean: "Clean",
+    swap: "Sensor swap",
+    fault: "Fault"
+  };
+
+  const MONTH_INDEX = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+  // "22 Apr 2026 08:30" / "22 April 2026" / ISO 8601 -> epoch ms (NaN if unreadable)
+  function parseCalibrationDate(text) {
+    const s = String(text ?? "").trim();
+    if (!s) return NaN;
+
+    const m = /^(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{4})(?:[\s,]+(\d{1,2}):(\d{2}))?$/.exec(s);
+    if (m) {
+      const month = MONTH_INDEX[m[2].toLowerCase()];
+      if (month == null) return NaN;
+      // Register times are Hobart wall time
+      const ms = zonedTimeToMs(Number(m[3]), month, Number(m[1]), Number(m[4] || 0), Number(m[5] || 0));
+      // Reject roll-overs such as "31 Apr"
+      return zoneParts(ms).month - 1 === month ? ms : NaN;
+    }
+
+    return parseTimestamp(s);
+  }
+
+  function formatCalibrationDate(ms, withTime = true) {
+    if (!Number.isFinite(ms)) return "—";
+    return withTime ? formatDateTime(ms) : formatDate(ms);
+  }
+
+  function calibrationIntervalDays(data, sensorType) {
+    const table = isPlainObject(data?.calibration_interval_days) ? data.calibration_interval_days : {};
+    const n = Number(table[sensorType] ?? table.default);
+    return Number.isFinite(n) && n > 0 ? n : NaN;
+  }
+
+  function calibrationEventLabel(type) {
+    return CALIBRATION_EVENT_TYPES[type] || "Other";
+  }
+
+  function normaliseCalibrationEvent(ev) {
+    const checks = (Array.isArray(ev?.checks) ? ev.checks : [])
+      .filter(isPlainObject)
+      .map(ck => ({
+        parameter: ck.parameter || "",
+        reference: ck.reference ?? null,
+        pre: ck.pre ?? null,
+        post: ck.post ?? null,
+        unit: ck.unit || PARAMETERS[ck.parameter]?.unitName || ""
+      }));
+
+    const ms = parseCalibrationDate(ev?.date);
+    return {
+      // Shown in the site-wide format; text that cannot be read is shown as written
+      dateText: Number.isFinite(ms) ? formatCalibrationDate(ms, /\d:\d{2}/.test(ev.date)) : (ev?.date || ""),
+      ms,
+      // Unknown types are kept but never restart the calibration interval
+      type: CALIBRATION_EVENT_TYPES[ev?.type] ? ev.type : "other",
+      technician: ev?.technician || "",
+      notes: ev?.notes || "",
+      checks
+    };
+  }
+
+  /**
+   * Flatten calibration.json into one entry per station/sensor:
+   * { station, sensor, sensorType, events (newest first), lastText, lastMs, notes,
+   *   intervalDays, dueMs, dueSoonDays }.
+   * Legacy items[] become a single calibration event; sites{} entries have
+   * sensor null and apply to every sensor at the site.
+   */
+  function normaliseCalibration(data) {
+    const dueSoon = Number(data?.due_soon_days);
+    const dueSoonDays = Number.isFinite(dueSoon) && dueSoon >= 0 ? dueSoon : CALIBRATION_DEFAULT_DUE_SOON_DAYS;
+
+    let raw;
+    if (Array.isArray(data?.sensors)) {
+      raw = data.sensors.filter(isPlainObject).map(rec => ({
+        station: String(rec.station || ""),
+        sensor: rec.sensor ? String(rec.sensor) : null,
+        sensorType: rec.sensor_type || "default",
+        events: (Array.isArray(rec.events) ? rec.events : []).map(normaliseCalibrationEvent)
+      }));
+    } else if (Array.isArray(data?.items)) {
+      raw = data.items.filter(isPlainObject).map(it => ({
+        station: String(it.station || ""),
+        sensor: it.sensor ? String(it.sensor) : null,
+        sensorType: it.sensor_type || "default",
+        events: it.last_calibrated ? [normaliseCalibrationEvent({ date: it.last_calibrated, type: "calibration", notes: it.notes })] : []
+      }));
+    } else {
+      raw = Object.entries(isPlainObject(data?.sites) ? data.sites : {}).map(([site, date]) => ({
+        station: site,
+        sensor: null,
+        sensorType: "default",
+        events: typeof date === "string" && date ? [normaliseCalibrationEvent({ date, type: "calibration" })] : []
+      }));
+    }
+
+    const entries = raw.map(e => {
+      // Newest first; undated events sink to the bottom
+      const events = e.events.slice().sort((a, b) => (Number.isFinite(b.ms) ? b.ms : -Infinity) - (Number.isFinite(a.ms) ? a.ms : -Infinity));
+      const last = events.find(ev => ev.type === "calibration") || null;
+      const lastMs = last ? last.ms : NaN;
+      const intervalDays = calibrationIntervalDays(data, e.sensorType);
+      return {
+        ...e,
+        events,
+        lastText: last?.dateText || "",
+        lastMs,
+        notes: last?.notes || "",
+        intervalDays,
+        dueMs: Number.isFinite(lastMs) ? lastMs + intervalDays * DAY_MS : NaN,
+        dueSoonDays
+      };
+    });
+
+    return { lastUpdated: data?.last_updated || "", entries };
+  }
+
+  // The entry as the register stood at an instant: later calibrations not yet done
+  function calibrationEntryAt(entry, at) {
+    const last = entry.events.find(ev => ev.type === "calibration" && ev.ms <= at) || null;
+    const lastMs = last ? last.ms : NaN;
+    return {
+      ...entry,
+      lastText: last?.dateText || "",
+      lastMs,
+      notes: last?.notes || "",
+      dueMs: Number.isFinite(lastMs) ? lastMs + entry.intervalDays * DAY_MS : NaN
+    };
+  }
+
+  // "ok" | "due" | "overdue" at the given instant; "unknown" without a due date
+  function calibrationStatusAt(entry, now) {
+    if (!entry || !Number.isFinite(entry.dueMs)) return "unknown";
+    if (now >= entry.dueMs) return "overdue";
+    if (now >= entry.dueMs - entry.dueSoonDays * DAY_MS) return "due";
+    return "ok";
+  }
+
+  return {
+    CALIBRATION_DEFAULT_DUE_SOON_DAYS,
+    CALIBRATION_EVENT_TYPES,
+    parseCalibrationDate,
+    formatCalibrationDate,
+    calibrationIntervalDays,
+    calibrationEventLabel,
+    normaliseCalibrationEvent,
+    normaliseCalibration,
+    calibrationEntryAt,
+    calibrationStatusAt
+  };
+});
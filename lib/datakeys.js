@@ -0,0 +1,187 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/datakeys.js
+   - stations.json data keys: windows, legacy key migration, URL lookup
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./util.js"));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== "undefined" ? self : this, function (util) {
+  "use strict";
+
+  const { isPlainObject } = util;
+
+  /* ---------------------------
+     DATA KEYS (parameter / window schema)
+     - stations.json values: values[sensor][parameter][window] = data URL
+     - Windows are declared once in stations.json "schema.windows"; their order is display order
+     - Parameters are the keys of PARAMETERS (they need units and formatting)
+     - Legacy flat keys (turbidity_6d, do, …) are migrated on load
+  ---------------------------- */
+  const DEFAULT_DATA_WINDOWS = [
+    { key: "raw", label: "Raw readings" },
+    { key: "1h", label: "1-hour average" },
+    { key: "6d", label: "6-day rolling median" },
+    { key: "15d", label: "15-day rolling median" }
+  ];
+
+  // Replaced by the stations.json schema once it has loaded
+  let __dataWindows = DEFAULT_DATA_WINDOWS;
+
+  // Legacy flat key -> [parameter, window]. A bare "turbidity" key is deliberately
+  // absent: it never said which window it held, so it is reported instead of guessed.
+  const LEGACY_DATA_KEYS = {
+    turbidity_6d: ["turbidity", "6d"],
+    turbidity6: ["turbidity", "6d"],
+    turbidity_6: ["turbidity", "6d"],
+    turbidity6d: ["turbidity", "6d"],
+    turbidity_6day: ["turbidity", "6d"],
+    turbidity6day: ["turbidity", "6d"],
+    turbidity_15d: ["turbidity", "15d"],
+    turbidity15: ["turbidity", "15d"],
+    turbidity_15: ["turbidity", "15d"],
+    turbidity15d: ["turbidity", "15d"],
+    turbidity_15day: ["turbidity", "15d"],
+    turbidity15day: ["turbidity", "15d"],
+    do: ["do", "raw"],
+    ph: ["ph", "raw"],
+    temp: ["temp", "raw"]
+  };
+
+  function dataWindows() {
+    return __dataWindows;
+  }
+
+  function setDataWindows(windows) {
+    __dataWindows = Array.isArray(windows) && windows.length ? windows : DEFAULT_DATA_WINDOWS;
+  }
+
+  function windowLabel(windowKey) {
+    return __dataWindows.find(w => w.key === windowKey)?.label || String(windowKey || "");
+  }
+
+  /**
+   * Bring a stations.json document into canonical form.
+   * Returns { doc, problems }: doc always carries schema.windows; problems use the
+   * validator's { severity, path, message } shape so they show in ?debug=1.
+   */
+  function migrateStationsConfig(raw) {
+    const problems = [];
+    const note = (severity, path, message) => problems.push({ severity, path, message });
+
+    if (!isPlainObject(raw)) return { doc: raw, problems };
+
+    // Windows
+    let windows = DEFAULT_DATA_WINDOWS;
+    if (raw.schema === undefined) {
+      note("info", "schema", "no schema declared; using the default windows (raw, 1h, 6d, 15d)");
+    } else if (!isPlainObject(raw.schema) || !Array.isArray(raw.schema.windows)) {
+      note("error", "schema.windows", "schema.windows must be an array; using the default windows");
+    } else {
+      const seen = new Set();
+      windows = [];
+      raw.schema.windows.forEach((w, i) => {
+        const key = isPlainObject(w) ? w.key : null;
+        if (typeof key !== "string" || !key.trim()) {
+          note("error", `schema.windows[${i}]`, "window needs a \"key\"");
+        } else if (seen.has(key)) {
+          note("error", `schema.windows[${i}].key`, `duplicate window "${key}"`);
+        } else {
+          seen.add(key);
+          windows.push({ ...w, label: typeof w.label === "string" && w.label.trim() ? w.label : key });
+        }
+      });
+    }
+
+    const stations = !Array.isArray(raw.stations) ? raw.stations : raw.stations.map((st, i) => {
+      if (!isPlainObject(st) || !isPlainObject(st.values)) return st;
+
+      const values = {};
+      for (const [lv, v] of Object.entries(st.values)) {
+        if (!isPlainObject(v)) {
+          values[lv] = v;
+          continue;
+        }
+
+        // Canonical entries first, so a leftover legacy key never overrides one
+        const out = {};
+        for (const [k, entry] of Object.entries(v)) {
+          if (isPlainObject(entry)) out[k] = { ...entry };
+        }
+
+        for (const [k, url] of Object.entries(v)) {
+          if (isPlainObject(url)) continue;
+          const path = `stations[${i}].values.${lv}.${k}`;
+          const target = LEGACY_DATA_KEYS[k];
+
+          if (k === "turbidity") {
+            note("warning", path, "bare \"turbidity\" does not say which averaging window it holds; not used – move it under turbidity.<window>");
+          } else if (!target) {
+            note("warning", path, `unknown data key "${k}"; not used`);
+          } else if (out[target[0]]?.[target[1]]) {
+            note("warning", path, `legacy key "${k}" duplicates ${target[0]}.${target[1]}; not used`);
+          } else {
+            out[target[0]] = { ...(out[target[0]] || {}), [target[1]]: url };
+            note("info", path, `legacy key "${k}" read as ${target[0]}.${target[1]}`);
+          }
+        }
+
+        values[lv] = out;
+      }
+
+      return { ...st, values };
+    });
+
+    return { doc: { ...raw, schema: { ...(isPlainObject(raw.schema) ? raw.schema : {}), windows }, stations }, problems };
+  }
+
+  /**
+   * Window key of the series getParameterUrl reads: windowKey itself, or with
+   * none, the parameter's first configured window that has a URL ("" if none).
+   */
+  function parameterWindowKey(station, level, paramKey, windowKey) {
+    const byWindow = station?.values?.[level]?.[paramKey];
+    if (!isPlainObject(byWindow)) return "";
+    if (windowKey) return byWindow[windowKey] ? windowKey : "";
+    return __dataWindows.find(w => byWindow[w.key])?.key || "";
+  }
+
+  /**
+   * Data URL for one series. With no windowKey, the parameter's first
+   * configured window in schema order (e.g. the raw DO series).
+   */
+  function getParameterUrl(station, level, paramKey, windowKey) {
+    const wk = parameterWindowKey(station, level, paramKey, windowKey);
+    return wk ? station.values[level][paramKey][wk] : "";
+  }
+
+  function getTurbidityUrl(station, level, windowKey) {
+    return getParameterUrl(station, level, "turbidity", windowKey);
+  }
+
+  // Declared windows that have a data URL for this parameter on any of the stations' sensors
+  function seriesWindowsFor(stations, paramKey) {
+    return __dataWindows
+      .map(w => w.key)
+      .filter(wk => (stations || []).some(st =>
+        (Array.isArray(st.sensors) ? st.sensors : ["top"]).some(lv => getParameterUrl(st, lv, paramKey, wk))
+      ));
+  }
+
+  return {
+    DEFAULT_DATA_WINDOWS,
+    LEGACY_DATA_KEYS,
+    dataWindows,
+    setDataWindows,
+    windowLabel,
+    migrateStationsConfig,
+    parameterWindowKey,
+    getParameterUrl,
+    getTurbidityUrl,
+    seriesWindowsFor
+  };
+});
@@ -0,0 +1,216 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/fetch.js
+   - Data requests: shared limiter, retry with backoff, memory + session cache
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    Object.assign(root, factory());
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /* ---------------------------
+     FETCH LAYER
+     - Shared concurrency limit across every data request on the page
+     - Per-URL cache (memory + sessionStorage) with a TTL
+     - Concurrent requests for the same URL share one in-flight promise
+     - Network errors, 429 and 5xx are retried with exponential backoff
+     - When a fetch still fails, the last good body (service worker cache, or this
+       session's copy) is used and flagged lastGood, with fetchedAt = when it was fetched
+     - Every fetch that still fails after its retries is logged with a short reason
+       ("HTTP 503", "network error") in localStorage for 30 days (data health view)
+  ---------------------------- */
+  const FETCH_CONCURRENCY = 4;
+  // Shorter than the 5-minute page refresh, so every refresh reaches the network
+  const DATA_TTL_MS = 4 * 60 * 1000;
+  const FETCH_RETRIES = 2;
+  const FETCH_BACKOFF_MS = 500;
+  const SESSION_CACHE_PREFIX = "tasports:data:";
+  // Set by sw.js on responses served from its last-good cache
+  const SW_CACHED_AT_HEADER = "X-Tasports-Cached-At";
+  const FAILURE_LOG_KEY = "tasports:fetch-failures";
+  const FAILURE_LOG_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+  const FAILURE_LOG_MAX = 500;
+
+  const __dataCache = new Map();   // url -> { text, fetchedAt, lastGood? }
+  const __inFlight = new Map();    // url -> Promise<{ text, fetchedAt, fromCache, lastGood? }>
+  let __failureLog = [];           // used when localStorage is unavailable
+
+  function createLimiter(max) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+      if (active >= max || !queue.length) return;
+      active++;
+      const { fn, resolve, reject } = queue.shift();
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    };
+
+    return fn => new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  }
+
+  const __fetchLimit = createLimiter(FETCH_CONCURRENCY);
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function readSessionCache(url) {
+    try {
+      const raw = globalThis.sessionStorage?.getItem(SESSION_CACHE_PREFIX + url);
+      if (!raw) return null;
+      const rec = JSON.parse(raw);
+      return typeof rec?.text === "string" && Number.isFinite(rec?.fetchedAt) ? rec : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function writeSessionCache(url, rec) {
+    try {
+      globalThis.sessionStorage?.setItem(SESSION_CACHE_PREFIX + url, JSON.stringify(rec));
+    } catch {
+      // Quota exceeded or storage disabled: the memory cache still works
+    }
+  }
+
+  function cachedText(url, ttlMs) {
+    let rec = __dataCache.get(url);
+    if (!rec) {
+      rec = readSessionCache(url);
+      if (rec) __dataCache.set(url, rec);
+    }
+    if (rec && Date.now() - rec.fetchedAt < ttlMs) return rec;
+    return null;
+  }
+
+  async function fetchTextWithRetry(url) {
+    let lastErr = null;
+
+    for (let attempt = 0; attempt <= FETCH_RETRIES; attempt++) {
+      if (attempt > 0) await sleep(FETCH_BACKOFF_MS * 2 ** (attempt - 1));
+
+      try {
+        const resp = await fetch(url, { cache: "no-store" });
+        if (resp.ok) {
+          const cachedAt = Number(resp.headers?.get?.(SW_CACHED_AT_HEADER));
+          return { text: await resp.text(), cachedAt: Number.isFinite(cachedAt) && cachedAt > 0 ? cachedAt : null };
+        }
+
+        lastErr = new Error(`Fetch failed: ${resp.status} for ${url}`);
+        lastErr.status = resp.status;
+        // Only transient statuses are worth another try
+        if (resp.status !== 429 && resp.status < 500) break;
+      } catch (e) {
+        lastErr = e;
+      }
+    }
+
+    throw lastErr || new Error(`Fetch failed for ${url}`);
+  }
+
+  function failureReason(err) {
+    if (err?.status) return `HTTP ${err.status}`;
+    if (err?.name === "AbortError" || err?.name === "TimeoutError") return "timeout";
+    return "network error";
+  }
+
+  function readFailureLog() {
+    try {
+      const raw = globalThis.localStorage?.getItem(FAILURE_LOG_KEY);
+      if (raw == null) return __failureLog;
+      const list = JSON.parse(raw);
+      return Array.isArray(list) ? list : [];
+    } catch {
+      return __failureLog;
+    }
+  }
+
+  function recordFetchFailure(url, reason, at = Date.now()) {
+    const log = readFailureLog()
+      .filter(f => at - f.at < FAILURE_LOG_MAX_AGE_MS)
+      .concat({ at, url, reason })
+      .slice(-FAILURE_LOG_MAX);
+    __failureLog = log;
+    try {
+      globalThis.localStorage?.setItem(FAILURE_LOG_KEY, JSON.stringify(log));
+    } catch {
+      // Storage full or disabled: the memory copy lasts for this page
+    }
+  }
+
+  // Logged failures since an instant: [{ at, url, reason }], oldest first
+  function fetchFailures(since = 0) {
+    return readFailureLog().filter(f => f && f.at >= since && typeof f.url === "string");
+  }
+
+  /**
+   * Fetch a data URL's body through the shared cache/limiter.
+   * opts.ttlMs: max age of a cached copy (default DATA_TTL_MS)
+   * opts.force: skip the cache (in-flight requests are still shared)
+   */
+  function fetchDataText(url, opts = {}) {
+    const ttlMs = opts.ttlMs ?? DATA_TTL_MS;
+
+    if (!opts.force) {
+      const hit = cachedText(url, ttlMs);
+      if (hit) return Promise.resolve({ ...hit, fromCache: true });
+    }
+
+    if (__inFlight.has(url)) return __inFlight.get(url);
+
+    const p = __fetchLimit(() => fetchTextWithRetry(url))
+      .then(({ text, cachedAt }) => {
+        // The service worker answered from its last-good copy; it expires at once so the next refresh retries
+        if (cachedAt) {
+          // The live request failed behind the service worker; its status is not passed on
+          recordFetchFailure(url, "served from offline copy");
+          const rec = { text, fetchedAt: cachedAt, lastGood: true };
+          __dataCache.set(url, rec);
+          return { ...rec, fromCache: true };
+        }
+
+        const rec = { text, fetchedAt: Date.now() };
+        __dataCache.set(url, rec);
+        writeSessionCache(url, rec);
+        return { ...rec, fromCache: false };
+      })
+      .catch(e => {
+        recordFetchFailure(url, failureReason(e));
+        // No service worker copy either: fall back to the last body this session fetched
+        const last = __dataCache.get(url) || readSessionCache(url);
+        if (!last) throw e;
+        console.warn(`[Fetch] using last good copy from ${new Date(last.fetchedAt).toISOString()} for`, url, e);
+        return { ...last, fromCache: true, lastGood: true };
+      })
+      .finally(() => __inFlight.delete(url));
+
+    __inFlight.set(url, p);
+    return p;
+  }
+
+  return {
+    DATA_TTL_MS,
+    SW_CACHED_AT_HEADER,
+    createLimiter,
+    sleep,
+    fetchTextWithRetry,
+    fetchDataText,
+    recordFetchFailure,
+    fetchFailures
+  };
+});
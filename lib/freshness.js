@@ -0,0 +1,76 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/freshness.js
+   - Staleness (per station / parameter / window) and missed readings
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./util.js"), require("./time.js"), require("./datakeys.js"));
+  } else {
+    Object.assign(root, factory(root, root, root));
+  }
+})(typeof self !== "undefined" ? self : this, function (util, hobartTime, datakeys) {
+  "use strict";
+
+  const { isPlainObject } = util;
+  const { parseTimestamp } = hobartTime;
+  const { dataWindows, getParameterUrl } = datakeys;
+
+  /* ---------------------------
+     FRESHNESS (staleness + gaps)
+     - Stale after: stations[i].stale_after_minutes[param] (a number, or { window: n }),
+       else the window's schema.windows stale_after_minutes, else 24 h
+     - Gaps: the series' own reading interval says how many readings are overdue
+  ---------------------------- */
+  const DEFAULT_STALE_MS = 24 * 60 * 60 * 1000;
+
+  function isStale(isoTs, maxAgeMs = DEFAULT_STALE_MS, now = Date.now()) {
+    if (!isoTs) return false;
+    const t = parseTimestamp(isoTs);
+    if (!Number.isFinite(t)) return false;
+    return now - t > maxAgeMs;
+  }
+
+  function staleAfterMsFor(station, level, paramKey, windowKey) {
+    const minutes = v => (typeof v === "number" && v > 0 ? v * 60 * 1000 : null);
+
+    // No window asked for: the one getParameterUrl picks for this sensor
+    const wk = windowKey || dataWindows().find(w => getParameterUrl(station, level, paramKey, w.key))?.key;
+
+    const override = station?.stale_after_minutes?.[paramKey];
+    const fromStation = isPlainObject(override) ? minutes(override[wk]) : minutes(override);
+    return fromStation
+      || minutes(dataWindows().find(w => w.key === wk)?.stale_after_minutes)
+      || DEFAULT_STALE_MS;
+  }
+
+  // Typical spacing between readings: median of the latest intervals (null if too few points)
+  function seriesCadenceMs(points, sample = 24) {
+    const pts = Array.isArray(points) ? points.slice(-(sample + 1)) : [];
+    const gaps = [];
+    for (let i = 1; i < pts.length; i++) {
+      const d = pts[i].time - pts[i - 1].time;
+      if (d > 0) gaps.push(d);
+    }
+    if (gaps.length < 3) return null;
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)];
+  }
+
+  // Readings overdue since the last one; one interval of publishing delay is allowed
+  function missingReadings(points, now = Date.now()) {
+    const cadence = seriesCadenceMs(points);
+    const last = points?.[points.length - 1];
+    if (!cadence || !last) return 0;
+    return Math.max(0, Math.floor((now - last.time) / cadence) - 1);
+  }
+
+  return {
+    DEFAULT_STALE_MS,
+    isStale,
+    staleAfterMsFor,
+    seriesCadenceMs,
+    missingReadings
+  };
+});
@@ -0,0 +1,51 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/params.js
+   - Parameters the dashboard knows: labels, units, formatting
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    Object.assign(root, factory());
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Parameters the dashboard knows how to label and format.
+  // Keys match the parameter keys under stations.json "values" / "charts".
+  // unitName is the plain-text unit written to exports.
+  const PARAMETERS = {
+    turbidity: { label: "Turbidity", unit: "FNU", unitName: "FNU", decimals: 2 },
+    do:        { label: "Dissolved oxygen", unit: "% sat", unitName: "% saturation", decimals: 1 },
+    ph:        { label: "pH", unit: "", unitName: "pH units", decimals: 2 },
+    temp:      { label: "Temperature", unit: "°C", unitName: "degC", decimals: 1 }
+  };
+
+  // Non-turbidity parameters shown as tiles on the index page (their first configured window)
+  const EXTRA_TILE_PARAMS = ["do", "ph", "temp"];
+
+  function formatFnu(value) {
+    return `${value.toFixed(2)} FNU`;
+  }
+
+  function formatParamValue(paramKey, value) {
+    const p = PARAMETERS[paramKey];
+    if (!p) return String(value);
+    const num = value.toFixed(p.decimals);
+    return p.unit ? `${num} ${p.unit}` : num;
+  }
+
+  function paramLabel(paramKey) {
+    return PARAMETERS[paramKey]?.label || String(paramKey || "").toUpperCase();
+  }
+
+  return {
+    PARAMETERS,
+    EXTRA_TILE_PARAMS,
+    formatFnu,
+    formatParamValue,
+    paramLabel
+  };
+});
@@ -0,0 +1,121 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/report.js
+   - Period summaries of a fetched series: statistics, time in each trigger
+     state, data completeness and gaps (report.html, health.html)
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    Object.assign(root, factory());
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /* ---------------------------
+     PERIOD SUMMARIES
+     - A period is [from, to) in epoch ms; points are parsed series points ({ time, value })
+     - A reading's status holds until the next reading, but never for longer
+       than maxHoldMs; time not covered by a reading counts as "nodata"
+     - Completeness compares readings received with the readings the series'
+       own interval says were due
+  ---------------------------- */
+  const REPORT_STATES = ["green", "amber", "red", "neutral", "nodata"];
+
+  function pointsInPeriod(points, from, to) {
+    return (points || []).filter(p => p.time >= from && p.time < to && Number.isFinite(p.value));
+  }
+
+  function median(values) {
+    const v = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (!v.length) return NaN;
+    const mid = Math.floor(v.length / 2);
+    return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+  }
+
+  // { count, median, min, max } of the readings in the period (NaN when there are none)
+  function periodStats(points, from, to) {
+    const values = pointsInPeriod(points, from, to).map(p => p.value);
+    return {
+      count: values.length,
+      median: median(values),
+      min: values.length ? Math.min(...values) : NaN,
+      max: values.length ? Math.max(...values) : NaN
+    };
+  }
+
+  /**
+   * Milliseconds spent in each state over the period: { green, amber, red, neutral, nodata }.
+   * classify(point) gives the point's status. A reading just before the period
+   * still counts for the time it holds into it.
+   */
+  function timeByStatus(points, classify, from, to, maxHoldMs) {
+    const out = Object.fromEntries(REPORT_STATES.map(s => [s, 0]));
+    if (!(to > from)) return out;
+
+    const pts = (points || []).filter(p => Number.isFinite(p.value) && p.time < to);
+    let covered = 0;
+
+    for (let i = 0; i < pts.length; i++) {
+      const start = Math.max(pts[i].time, from);
+      const held = pts[i].time + maxHoldMs;
+      const end = Math.min(i + 1 < pts.length ? Math.min(pts[i + 1].time, held) : held, to);
+      if (end <= start) continue;
+
+      const status = classify(pts[i]);
+      const key = REPORT_STATES.includes(status) ? status : "neutral";
+      out[key] += end - start;
+      covered += end - start;
+    }
+
+    out.nodata = (to - from) - covered;
+    return out;
+  }
+
+  /**
+   * Readings received against readings due in the period.
+   * Returns { expected, received, pct } (pct null when the interval is unknown).
+   */
+  function completeness(points, from, to, cadenceMs) {
+    const received = pointsInPeriod(points, from, to).length;
+    if (!cadenceMs || !(to > from)) return { expected: null, received, pct: null };
+
+    // A period holding 4.25 intervals has room for 5 readings (one at its start),
+    // so round up: rounding to nearest would let a complete series show 5 of 4 due
+    const expected = Math.max(1, Math.ceil((to - from) / cadenceMs));
+    return { expected, received, pct: Math.min(100, (received / expected) * 100) };
+  }
+
+  /**
+   * Longest stretch without a reading inside [from, to], including the one
+   * still open at "to". Time before the first reading is not counted: the
+   * series may simply not reach back that far.
+   * Returns { ms, startMs, endMs, ongoing } or null when there are no readings.
+   */
+  function longestGap(points, from, to) {
+    const times = (points || []).filter(p => Number.isFinite(p.value) && p.time <= to).map(p => p.time);
+    if (!times.length) return null;
+
+    let best = null;
+    const consider = (startMs, endMs, ongoing) => {
+      const start = Math.max(startMs, from);
+      if (endMs > start && (!best || endMs - start > best.ms)) best = { ms: endMs - start, startMs: start, endMs, ongoing };
+    };
+
+    for (let i = 1; i < times.length; i++) consider(times[i - 1], times[i], false);
+    consider(times[times.length - 1], to, true);
+    return best;
+  }
+
+  return {
+    REPORT_STATES,
+    pointsInPeriod,
+    median,
+    periodStats,
+    timeByStatus,
+    completeness,
+    longestGap
+  };
+});
@@ -0,0 +1,239 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/series.js
+   - Parsers for the series formats the data sources return
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./util.js"), require("./time.js"));
+  } else {
+    Object.assign(root, factory(root, root));
+  }
+})(typeof self !== "undefined" ? self : this, function (util, hobartTime) {
+  "use strict";
+
+  const { isPlainObject } = util;
+  const { parseTimestamp, toTimeMs, zonedTimeToMs, zoneParts } = hobartTime;
+
+  /* ---------------------------
+     LIVE DATA (public/data)
+  ---------------------------- */
+  const DATA_LINE_RE = /^"?\d{4}-\d{2}-\d{2}T/;
+
+  // Split one CSV line, honouring double-quoted fields ("a,b" and "" escapes)
+  function splitCsvLine(line) {
+    const out = [];
+    let cur = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (inQuotes) {
+        if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+        else if (ch === '"') inQuotes = false;
+        else cur += ch;
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ",") {
+        out.push(cur.trim());
+        cur = "";
+      } else {
+        cur += ch;
+      }
+    }
+    out.push(cur.trim());
+    return out;
+  }
+
+  /**
+   * Parse an Eagle.io public/data CSV into a typed series.
+   * - Lines before the first timestamped row are the header block; the last one
+   *   with more than one field supplies the column names
+   * - Column 0 is the timestamp, the first other non-quality column is the value
+   * - A column named like "quality"/"flag" is kept as the point's quality code
+   * - Remaining columns are kept by name under point.extra
+   * - opts.from / opts.to (Date, ms or ISO string) limit the time window
+   *
+   * Returns { header: string[], columns: string[], points: [{ timestamp, time, value, quality, extra }] }
+   * with points in ascending time order. Rows without a numeric value are dropped.
+   */
+  function parseEagleCsv(text, opts = {}) {
+    const lines = String(text ?? "")
+      .split(/\r?\n/)
+      .map(l => l.trim())
+      .filter(Boolean);
+
+    const firstData = lines.findIndex(l => DATA_LINE_RE.test(l));
+    const header = firstData === -1 ? lines : lines.slice(0, firstData);
+    const dataLines = firstData === -1 ? [] : lines.slice(firstData).filter(l => DATA_LINE_RE.test(l));
+
+    let columns = [];
+    for (let i = header.length - 1; i >= 0; i--) {
+      const cols = splitCsvLine(header[i]);
+      if (cols.length > 1) { columns = cols; break; }
+    }
+
+    const qualityIdx = columns.findIndex((c, i) => i > 0 && /quality|flag/i.test(c));
+    let valueIdx = 1;
+    while (valueIdx === qualityIdx) valueIdx++;
+
+    const points = [];
+    for (const line of dataLines) {
+      const parts = splitCsvLine(line);
+      if (parts.length <= valueIdx) continue;
+
+      // Normalised on parse: offset-less Eagle times are Hobart wall time
+      const time = parseTimestamp(parts[0]);
+      if (!Number.isFinite(time)) continue;
+      const timestamp = new Date(time).toISOString();
+
+      const raw = parts[valueIdx];
+      const value = raw === "" ? NaN : Number(raw);
+      if (!Number.isFinite(value)) continue;
+
+      const quality = qualityIdx > 0 && parts[qualityIdx] !== "" && parts[qualityIdx] != null ? parts[qualityIdx] : null;
+
+      let extra = null;
+      for (let i = 1; i < parts.length; i++) {
+        if (i === valueIdx || i === qualityIdx) continue;
+        if (!extra) extra = {};
+        extra[columns[i] || `col${i}`] = parts[i];
+      }
+
+      points.push({ timestamp, time, value, quality, extra });
+    }
+
+    points.sort((a, b) => a.time - b.time);
+
+    const series = { header, columns, points };
+    return opts.from != null || opts.to != null ? filterSeries(series, opts) : series;
+  }
+
+  /**
+   * Parse a generic logger CSV (e.g. the backup logger's drop file).
+   * - The first line is the header; the timestamp column is the first one named
+   *   like "time"/"date" (else column 0)
+   * - The value column is the first other non-quality column with numbers in it
+   * - Timestamps may be ISO 8601 or "DD/MM/YYYY HH:MM[:SS]"; without an offset they are Hobart time
+   *
+   * Returns the same shape as parseEagleCsv.
+   */
+  function parseGenericCsv(text, opts = {}) {
+    const lines = String(text ?? "")
+      .split(/\r?\n/)
+      .map(l => l.trim())
+      .filter(Boolean);
+
+    const columns = lines.length ? splitCsvLine(lines[0]) : [];
+    const rows = lines.slice(1).map(splitCsvLine);
+
+    const timeIdx = Math.max(0, columns.findIndex(c => /time|date/i.test(c)));
+    const qualityIdx = columns.findIndex((c, i) => i !== timeIdx && /quality|flag/i.test(c));
+    const valueIdx = columns.findIndex((c, i) =>
+      i !== timeIdx && i !== qualityIdx && rows.some(r => r[i] !== "" && r[i] != null && Number.isFinite(Number(r[i])))
+    );
+
+    const points = [];
+    if (valueIdx !== -1) {
+      for (const parts of rows) {
+        const time = parseLoggerTimestamp(parts[timeIdx]);
+        if (!Number.isFinite(time)) continue;
+
+        const raw = parts[valueIdx];
+        const value = raw === "" || raw == null ? NaN : Number(raw);
+        if (!Number.isFinite(value)) continue;
+
+        const quality = qualityIdx !== -1 && parts[qualityIdx] !== "" && parts[qualityIdx] != null ? parts[qualityIdx] : null;
+
+        let extra = null;
+        for (let i = 0; i < parts.length; i++) {
+          if (i === timeIdx || i === valueIdx || i === qualityIdx) continue;
+          if (!extra) extra = {};
+          extra[columns[i] || `col${i}`] = parts[i];
+        }
+
+        points.push({ timestamp: new Date(time).toISOString(), time, value, quality, extra });
+      }
+    }
+
+    points.sort((a, b) => a.time - b.time);
+
+    const series = { header: lines.slice(0, 1), columns, points };
+    return opts.from != null || opts.to != null ? filterSeries(series, opts) : series;
+  }
+
+  function parseLoggerTimestamp(text) {
+    const iso = parseTimestamp(text);
+    if (Number.isFinite(iso)) return iso;
+
+    const m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(String(text ?? "").trim());
+    if (!m) return NaN;
+    const ms = zonedTimeToMs(Number(m[3]), Number(m[2]) - 1, Number(m[1]), Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0));
+    return zoneParts(ms).day === Number(m[1]) ? ms : NaN;
+  }
+
+  /**
+   * Parse one fixture series. Accepted forms:
+   * - { points: [{ timestamp, value, quality? }] } or { points: [[timestamp, value, quality?]] }
+   * - { start, step_minutes, values: [n, null, n, ...] } (null = no reading)
+   * - a bare points array
+   * shiftMs moves every point (used to bring recorded fixtures up to "now").
+   */
+  function parseFixtureSeries(raw, shiftMs = 0) {
+    const doc = Array.isArray(raw) ? { points: raw } : (isPlainObject(raw) ? raw : {});
+    const points = [];
+
+    const push = (t, v, q) => {
+      const time = toTimeMs(t);
+      const value = typeof v === "number" ? v : (v === "" || v == null ? NaN : Number(v));
+      if (!Number.isFinite(time) || !Number.isFinite(value)) return;
+      const shifted = time + shiftMs;
+      points.push({ timestamp: new Date(shifted).toISOString(), time: shifted, value, quality: q ?? null, extra: null });
+    };
+
+    if (Array.isArray(doc.values)) {
+      const start = toTimeMs(doc.start);
+      const step = Number(doc.step_minutes) * 60000;
+      if (Number.isFinite(start) && step > 0) doc.values.forEach((v, i) => push(start + i * step, v));
+    } else if (Array.isArray(doc.points)) {
+      for (const p of doc.points) {
+        if (Array.isArray(p)) push(p[0], p[1], p[2]);
+        else if (isPlainObject(p)) push(p.timestamp ?? p.time, p.value, p.quality);
+      }
+    }
+
+    points.sort((a, b) => a.time - b.time);
+    return { header: [], columns: ["timestamp", "value"], points };
+  }
+
+  function fixtureLatestMs(raw) {
+    const series = parseFixtureSeries(raw);
+    return series.points.length ? series.points[series.points.length - 1].time : NaN;
+  }
+
+  function filterSeries(series, opts = {}) {
+    const from = toTimeMs(opts.from);
+    const to = toTimeMs(opts.to);
+    const points = (series?.points || []).filter(p =>
+      (!Number.isFinite(from) || p.time >= from) && (!Number.isFinite(to) || p.time <= to)
+    );
+    return { ...series, points };
+  }
+
+  function latestPoint(series) {
+    const pts = series?.points || [];
+    return pts.length ? pts[pts.length - 1] : null;
+  }
+
+  return {
+    splitCsvLine,
+    parseEagleCsv,
+    parseGenericCsv,
+    parseLoggerTimestamp,
+    parseFixtureSeries,
+    fixtureLatestMs,
+    filterSeries,
+    latestPoint
+  };
+});
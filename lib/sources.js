@@ -0,0 +1,178 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/sources.js
+   - Data source adapters: which parser reads a data URL, fixture mode
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./util.js"), require("./fetch.js"), require("./series.js"));
+  } else {
+    Object.assign(root, factory(root, root, root));
+  }
+})(typeof self !== "undefined" ? self : this, function (util, fetchLayer, parsers) {
+  "use strict";
+
+  const { isPlainObject } = util;
+  const { fetchDataText } = fetchLayer;
+  const { parseEagleCsv, parseGenericCsv, parseFixtureSeries, fixtureLatestMs, filterSeries, latestPoint } = parsers;
+
+  /* ---------------------------
+     DATA SOURCES (adapters)
+     - Each data URL in stations.json is read by the first adapter that claims it:
+       eagle    Eagle.io public/data CSV (https://public.eagle.io/public/data/…)
+       fixture  static JSON series: "fixture:<path>" or any URL ending in .json
+       csv      generic logger CSV over HTTP: "csv:<url>" or any URL ending in .csv
+     - Fixture mode (?fixture=1 or ?fixture=<bundle path>, kept for the session;
+       ?fixture=0 turns it off) answers every data URL from one JSON bundle,
+       { shift_to_now?, series: { "<data url>": <fixture series> } }, so the whole
+       site runs offline on recorded data
+  ---------------------------- */
+  const EAGLE_DATA_URL_RE = /^https:\/\/public\.eagle\.io\/public\/data\/[a-z0-9]+/i;
+  const EAGLE_CHART_URL_RE = /^https:\/\/public\.eagle\.io\/public\/chart\/[a-z0-9]+/i;
+  const DEFAULT_FIXTURE_BUNDLE = "/fixtures/demo.json";
+  const FIXTURE_SESSION_KEY = "tasports:fixture";
+
+  // Strip an explicit "<adapter>:" prefix (absolute http(s) URLs have none)
+  function stripSourcePrefix(url, prefix) {
+    return url.toLowerCase().startsWith(`${prefix}:`) ? url.slice(prefix.length + 1) : url;
+  }
+
+  const __fixtureDocs = new Map();   // fetch URL -> { text, doc, shiftMs }
+
+  // Static JSON documents parse once per fetched body. With shift_to_now the
+  // newest point (latestMs of the whole document) is moved to the time it was read.
+  function fixtureDoc(fetchUrl, text, latestMs) {
+    const hit = __fixtureDocs.get(fetchUrl);
+    if (hit && hit.text === text) return hit;
+
+    const doc = JSON.parse(text);
+    const latest = doc?.shift_to_now ? latestMs(doc) : NaN;
+    const entry = { text, doc, shiftMs: Number.isFinite(latest) ? Date.now() - latest : 0 };
+    __fixtureDocs.set(fetchUrl, entry);
+    return entry;
+  }
+
+  const DATA_ADAPTERS = [
+    {
+      id: "eagle",
+      label: "Eagle.io public/data CSV",
+      matches: url => EAGLE_DATA_URL_RE.test(url),
+      fetchUrl: url => url,
+      parse: text => parseEagleCsv(text)
+    },
+    {
+      id: "fixture",
+      label: "Static JSON fixture",
+      matches: url => /^fixture:/i.test(url) || /\.json(?:[?#]|$)/i.test(url),
+      fetchUrl: url => stripSourcePrefix(url, "fixture"),
+      parse: (text, url) => {
+        const { doc, shiftMs } = fixtureDoc(stripSourcePrefix(url, "fixture"), text, fixtureLatestMs);
+        return parseFixtureSeries(doc, shiftMs);
+      }
+    },
+    {
+      id: "csv",
+      label: "Generic CSV",
+      matches: url => /^csv:/i.test(url) || /\.csv(?:[?#]|$)/i.test(url),
+      fetchUrl: url => stripSourcePrefix(url, "csv"),
+      parse: text => parseGenericCsv(text)
+    }
+  ];
+
+  // Bundle path when fixture mode is on, else null
+  function fixtureBundlePath() {
+    const q = new URLSearchParams(globalThis.location?.search || "").get("fixture");
+    const fromQuery = q && q !== "0" ? (q === "1" ? DEFAULT_FIXTURE_BUNDLE : q) : null;
+    try {
+      const store = globalThis.sessionStorage;
+      if (q === "0") store?.removeItem(FIXTURE_SESSION_KEY);
+      else if (fromQuery) store?.setItem(FIXTURE_SESSION_KEY, fromQuery);
+      else return store?.getItem(FIXTURE_SESSION_KEY) || null;
+    } catch {
+      // Storage disabled: fixture mode lasts for this page only
+    }
+    return fromQuery;
+  }
+
+  let __fixtureBundle;   // undefined until first asked
+
+  function fixtureBundleAdapter() {
+    if (__fixtureBundle === undefined) {
+      const path = fixtureBundlePath();
+      __fixtureBundle = path && {
+        id: "fixture-bundle",
+        label: `Fixture bundle ${path}`,
+        matches: () => true,
+        fetchUrl: () => path,
+        parse: (text, url) => {
+          const { doc, shiftMs } = fixtureDoc(path, text, d =>
+            Math.max(...Object.values(d?.series || {}).map(fixtureLatestMs).filter(Number.isFinite))
+          );
+          const series = isPlainObject(doc?.series) ? doc.series[url] : undefined;
+          if (series === undefined) throw new Error(`No fixture series for ${url}`);
+          return parseFixtureSeries(series, shiftMs);
+        }
+      };
+    }
+    return __fixtureBundle || null;
+  }
+
+  function isFixtureMode() {
+    return !!fixtureBundleAdapter();
+  }
+
+  function dataAdapterFor(dataUrl) {
+    if (!dataUrl || typeof dataUrl !== "string") return null;
+    return DATA_ADAPTERS.find(a => a.matches(dataUrl)) || null;
+  }
+
+  function assertDataUrl(dataUrl) {
+    if (!dataUrl || typeof dataUrl !== "string") throw new Error("Missing data URL");
+    const adapter = fixtureBundleAdapter() || dataAdapterFor(dataUrl);
+    if (!adapter) throw new Error(`No data source adapter for URL: ${dataUrl}`);
+    return adapter;
+  }
+
+  // Latest parsed series per data URL, shared by tiles, popups and anything else that needs history
+  const __seriesByUrl = new Map();
+
+  async function fetchSeriesFromDataUrl(dataUrl, opts = {}) {
+    const adapter = assertDataUrl(dataUrl);
+
+    const { text, fetchedAt, lastGood } = await fetchDataText(adapter.fetchUrl(dataUrl), opts);
+
+    // Re-parse only when the body is new; cached bodies keep their parsed series
+    const prev = __seriesByUrl.get(dataUrl);
+    const full = prev && prev.fetchedAt === fetchedAt
+      ? { ...prev, lastGood: !!lastGood }
+      : { ...adapter.parse(text, dataUrl), source: adapter.id, fetchedAt, lastGood: !!lastGood };
+    __seriesByUrl.set(dataUrl, full);
+
+    return opts.from != null || opts.to != null ? filterSeries(full, opts) : full;
+  }
+
+  function seriesForUrl(dataUrl) {
+    return __seriesByUrl.get(dataUrl) || null;
+  }
+
+  async function fetchLatestFromDataUrl(dataUrl) {
+    const series = await fetchSeriesFromDataUrl(dataUrl);
+    const last = latestPoint(series);
+    if (!last) return null;
+
+    return { timestamp: last.timestamp, value: last.value };
+  }
+
+  return {
+    EAGLE_DATA_URL_RE,
+    EAGLE_CHART_URL_RE,
+    DATA_ADAPTERS,
+    dataAdapterFor,
+    fixtureBundleAdapter,
+    isFixtureMode,
+    fetchSeriesFromDataUrl,
+    seriesForUrl,
+    fetchLatestFromDataUrl
+  };
+});
@@ -0,0 +1,166 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/thresholds.js
+   - Trigger revisions (triggers.json) and amber/red classification
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./time.js"));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== "undefined" ? self : this, function (time) {
+  "use strict";
+
+  const { parseTimestamp, toTimeMs } = time;
+
+  /**
+   * Turbidity triggers live in triggers.json as dated revisions.
+   * Each revision carries per-site, per-window amber/red values, the date it
+   * came into force and the AMMP document it was taken from.
+   * Only sites listed in a revision get trigger colours; others render "neutral".
+   */
+  let __triggerConfig = null;
+
+  // triggers.json -> { units, revisions } with revisions sorted by effectiveFromMs
+  function normaliseTriggerConfig(data) {
+    const revisions = (Array.isArray(data?.revisions) ? data.revisions : [])
+      .map(r => {
+        // effective_from: null means "in force from the start of the record"
+        if (!r?.effective_from) return { ...r, effectiveFromMs: -Infinity };
+
+        const from = parseTimestamp(r.effective_from);
+        if (!Number.isFinite(from)) {
+          console.warn("[Triggers] ignoring revision with bad effective_from:", r.id, r.effective_from);
+          return null;
+        }
+        return { ...r, effectiveFromMs: from };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.effectiveFromMs - b.effectiveFromMs);
+
+    return { units: data?.units || "", revisions };
+  }
+
+  function setTriggerConfig(config) {
+    __triggerConfig = config || null;
+  }
+
+  function triggerConfig() {
+    return __triggerConfig;
+  }
+
+  /* ---------------------------
+     THRESHOLDS (all parameters)
+     - Apply only where a rule exists for the parameter/site/window
+     - Turbidity rules vary by windowKey ("6d", "15d"); other windows stay neutral
+     - A "*" site entry applies to every site without its own rule
+     - The revision used is the one in force at the reading's timestamp
+     - Others render "neutral"
+  ---------------------------- */
+  function triggerRevisionAt(timestamp) {
+    const revisions = __triggerConfig?.revisions || [];
+    if (!revisions.length) return null;
+
+    const t = timestamp != null ? toTimeMs(timestamp) : NaN;
+    const at = Number.isFinite(t) ? t : Date.now();
+
+    // Revisions are sorted by effective date; take the latest one already in force
+    let active = null;
+    for (const r of revisions) {
+      if (r.effectiveFromMs <= at) active = r;
+    }
+    return active;
+  }
+
+  function isTriggerRule(rec) {
+    return !!rec && typeof rec === "object" && ("amber" in rec || "red" in rec);
+  }
+
+  /**
+   * Rule shapes (triggers.json):
+   *   { "amber": 4.0, "red": 4.33 }                              upper bound (default)
+   *   { "type": "lower", "amber": 80, "red": 60 }                 lower bound
+   *   { "type": "band", "amber": [7.0, 8.5], "red": [6.5, 9.0] }  outside band
+   * A site entry is either one rule, or rules keyed by window ("6d", "15d").
+   * triggers.json deliberately has no DO or temperature rules: no AMMP trigger
+   * values have been supplied for them, so those tiles stay neutral until a
+   * revision adds one (DO would be a "lower" rule).
+   */
+  function triggerRuleFor(paramKey, stationId, windowKey, timestamp) {
+    const sid = String(stationId || "").toLowerCase();
+    const rev = triggerRevisionAt(timestamp);
+    const byParam = rev?.triggers?.[paramKey];
+    if (!byParam) return null;
+
+    const rec = byParam[sid] || byParam["*"];
+    if (!rec) return null;
+    if (isTriggerRule(rec)) return rec;
+
+    // Windows without their own rule (e.g. raw turbidity) are not classified
+    return windowKey ? (rec[windowKey] || null) : null;
+  }
+
+  function classifyAgainstRule(rule, value) {
+    if (!rule || !Number.isFinite(value)) return "neutral";
+
+    const type = rule.type || "upper";
+
+    if (type === "band") {
+      const inBand = (b) => {
+        if (!Array.isArray(b) || b.length !== 2) return null;
+        const lo = Math.min(Number(b[0]), Number(b[1]));
+        const hi = Math.max(Number(b[0]), Number(b[1]));
+        if (!Number.isFinite(lo) || !Number.isFinite(hi)) return null;
+        return value >= lo && value <= hi;
+      };
+      const redOk = inBand(rule.red);
+      const amberOk = inBand(rule.amber);
+      if (redOk == null && amberOk == null) return "neutral";
+      if (redOk === false) return "red";
+      if (amberOk === false) return "amber";
+      return "green";
+    }
+
+    // Defensive: if thresholds ever get mis-ordered, force sensible ordering
+    const amber = Number(rule.amber);
+    const red = Number(rule.red);
+    if (!Number.isFinite(amber) || !Number.isFinite(red)) return "neutral";
+
+    const hi = Math.max(amber, red);
+    const lo = Math.min(amber, red);
+
+    if (type === "lower") {
+      // Lower bound: the lower value is red
+      if (value <= lo) return "red";
+      if (value <= hi) return "amber";
+      return "green";
+    }
+
+    // If the source data has amber/red swapped, treat the higher value as red.
+    if (value >= hi) return "red";
+    if (value >= lo) return "amber";
+    return "green";
+  }
+
+  function classifyParameter(paramKey, stationId, windowKey, value, timestamp) {
+    return classifyAgainstRule(triggerRuleFor(paramKey, stationId, windowKey, timestamp), value);
+  }
+
+  function classifyTurbidity(stationId, windowKey, value, timestamp) {
+    return classifyParameter("turbidity", stationId, windowKey, value, timestamp);
+  }
+
+  return {
+    normaliseTriggerConfig,
+    setTriggerConfig,
+    triggerConfig,
+    triggerRevisionAt,
+    isTriggerRule,
+    triggerRuleFor,
+    classifyAgainstRule,
+    classifyParameter,
+    classifyTurbidity
+  };
+});
@@ -0,0 +1,139 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/tiles.js
+   - Which series get tiles, tile order and map popup content
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./util.js"), require("./time.js"), require("./params.js"), require("./thresholds.js"), require("./datakeys.js"));
+  } else {
+    Object.assign(root, factory(root, root, root, root, root));
+  }
+})(typeof self !== "undefined" ? self : this, function (util, time, params, thresholds, datakeys) {
+  "use strict";
+
+  const { escapeHtml } = util;
+  const { formatDateTime } = time;
+  const { EXTRA_TILE_PARAMS, formatParamValue, paramLabel } = params;
+  const { classifyParameter } = thresholds;
+  const { windowLabel, seriesWindowsFor } = datakeys;
+
+  // Sites with only one sensor should render last in each tile panel
+  const SINGLE_SENSOR_SITES = new Set(["estuary", "grayling"]);
+
+  // Series shown as tiles (and exported, and watched for alerts): every
+  // turbidity window with a URL, plus the extra parameters' first window
+  function tileSeries(stations) {
+    return [
+      ...seriesWindowsFor(stations, "turbidity").map(windowKey => ({ param: "turbidity", windowKey })),
+      ...EXTRA_TILE_PARAMS.map(param => ({ param, windowKey: null }))
+    ];
+  }
+
+  // Enforce tile order:
+  // - Multi-sensor sites first
+  // - Within each station: Top then Bottom
+  // - Single-sensor sites (Estuary, Grayling) last
+  function sortTiles(tiles) {
+    return tiles.sort((a, b) => {
+      const aSingle = SINGLE_SENSOR_SITES.has(String(a.stationId || "").toLowerCase());
+      const bSingle = SINGLE_SENSOR_SITES.has(String(b.stationId || "").toLowerCase());
+
+      if (aSingle !== bSingle) return aSingle ? 1 : -1;
+
+      if (a.stationId === b.stationId) {
+        const order = { top: 0, bottom: 1 };
+        const ao = order[String(a.level || "").toLowerCase()] ?? 9;
+        const bo = order[String(b.level || "").toLowerCase()] ?? 9;
+        return ao - bo;
+      }
+
+      return String(a.stationName || "").localeCompare(String(b.stationName || ""));
+    });
+  }
+
+  /**
+   * Map popup for one station.
+   * stationSummary: { byWindow: { "6d": { top: item } }, byParam: { do: { top: item } } }
+   * calibration: [{ level, status, label, lastText }] per sensor, or null when the
+   * register is not loaded (the block is then left out)
+   * turbidityWindows: window keys to list, in order (the index passes every window
+   * any station has, so a site missing one shows it as not configured)
+   */
+  function popupHtmlForStation(station, stationSummary, calibration = null, turbidityWindows = seriesWindowsFor([station], "turbidity")) {
+    const { name, id, coords } = station;
+    const [lat, lon] = Array.isArray(coords) && coords.length === 2 ? coords : [null, null];
+
+    function linesFor(windowKey, label) {
+      const rec = stationSummary?.byWindow?.[windowKey] || {};
+
+      const preferred = ["top", "bottom"];
+      const lvls = preferred.filter(k => rec[k]).concat(Object.keys(rec).filter(k => !preferred.includes(k)));
+
+      if (!lvls.length) return [`<span class="subtle small">${escapeHtml(label)}: not configured</span>`];
+
+      const out = [];
+      for (const lvl of lvls) {
+        const item = rec[lvl];
+        if (!item || item.ok === false) {
+          out.push(`${lvl.toUpperCase()}: — (error${item?.reason ? `: ${escapeHtml(item.reason)}` : ""})`);
+          continue;
+        }
+        const tsText = item.timestamp ? formatDateTime(item.timestamp) : "—";
+        out.push(`${lvl.toUpperCase()}: ${item.value.toFixed(2)} FNU (${escapeHtml(tsText)}${item.stale ? ", stale" : ""}${item.cachedAt ? `, cached as of ${escapeHtml(formatDateTime(item.cachedAt))}` : ""})`);
+      }
+      return out;
+    }
+
+    const turbidityBlock = turbidityWindows.length
+      ? `<em>Turbidity:</em><br/>${turbidityWindows
+        .map(wk => `<span class="small subtle">${escapeHtml(windowLabel(wk))}</span><br/>${linesFor(wk, windowLabel(wk)).join("<br/>")}<br/><br/>`)
+        .join("")}`
+      : "";
+
+    function paramLinesFor(param) {
+      const rec = stationSummary?.byParam?.[param] || {};
+      const lvls = Object.keys(rec);
+      if (!lvls.length) return "";
+
+      const out = lvls.map(lvl => {
+        const item = rec[lvl];
+        if (!item || item.ok === false) {
+          return `${lvl.toUpperCase()}: — (error${item?.reason ? `: ${escapeHtml(item.reason)}` : ""})`;
+        }
+        const status = classifyParameter(param, id, null, item.value, item.timestamp);
+        const suffix = (item.stale ? " (stale)" : status !== "neutral" ? ` (${status})` : "")
+          + (item.cachedAt ? " (cached)" : "");
+        return `${lvl.toUpperCase()}: ${escapeHtml(formatParamValue(param, item.value))}${suffix}`;
+      });
+
+      return `<em>${escapeHtml(paramLabel(param))}:</em><br/>${out.join("<br/>")}<br/><br/>`;
+    }
+
+    const paramBlocks = EXTRA_TILE_PARAMS.map(paramLinesFor).join("");
+
+    const calLines = (calibration || [])
+      .map(({ level, status, label, lastText }) =>
+        `${String(level).toUpperCase()}: <span class="cal-badge cal-badge--${escapeHtml(status)}">${escapeHtml(label)}</span>${lastText ? ` <span class="small subtle">(${escapeHtml(lastText)})</span>` : ""}`
+      );
+    const calBlock = calLines.length ? `<em>Calibration:</em><br/>${calLines.join("<br/>")}<br/><br/>` : "";
+
+    return `
+      <strong>${escapeHtml(name)}</strong><br/>
+      ${lat != null ? `${lat.toFixed(5)}, ${lon.toFixed(5)}<br/><br/>` : "<br/>"}
+      ${turbidityBlock}
+      ${paramBlocks}
+      ${calBlock}
+      <a href="station.html?station=${encodeURIComponent(id)}">Station details</a> ·
+      <a href="charts.html?station=${encodeURIComponent(id)}">Charts</a>
+    `;
+  }
+
+  return {
+    SINGLE_SENSOR_SITES,
+    tileSeries,
+    sortTiles,
+    popupHtmlForStation
+  };
+});
@@ -0,0 +1,144 @@
+/* =========================================================
+   TasPorts Public Dashboard — lib/time.js
+   - Hobart time: parsing (offset-less = Hobart wall time) and display
+   - Loaded by a <script> tag before app.js (exports become globals) or
+     require()d from Node (tests, scripts/)
+========================================================= */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    Object.assign(root, factory());
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /* ---------------------------
+     TIME (Australia/Hobart)
+     - Timestamps are normalised to epoch ms / UTC ISO when parsed; values
+       without an offset are read as Hobart wall time
+     - Everything shown on the site is Hobart time with its zone (AEST / AEDT),
+       independent of the visitor's own time zone
+     - Exports carry ISO 8601 with the Hobart offset
+  ---------------------------- */
+  const DISPLAY_TIMEZONE = "Australia/Hobart";
+  const ZONE_ABBREVIATIONS = { 600: "AEST", 660: "AEDT" };
+  const SHORT_MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+  const ISO_TIMESTAMP_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+  const __zoneFormatter = new Intl.DateTimeFormat("en-AU", {
+    timeZone: DISPLAY_TIMEZONE,
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+    hourCycle: "h23"
+  });
+
+  // Hobart wall-clock fields for an instant, plus the zone offset in minutes
+  function zoneParts(ms) {
+    const p = {};
+    for (const { type, value } of __zoneFormatter.formatToParts(new Date(ms))) p[type] = Number(value);
+    const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour % 24, p.minute, p.second);
+    return {
+      year: p.year, month: p.month, day: p.day, hour: p.hour % 24, minute: p.minute, second: p.second,
+      offsetMin: Math.round((wall - Math.floor(ms / 1000) * 1000) / 60000)
+    };
+  }
+
+  function zoneLabel(offsetMin) {
+    if (ZONE_ABBREVIATIONS[offsetMin]) return ZONE_ABBREVIATIONS[offsetMin];
+    const a = Math.abs(offsetMin);
+    return `UTC${offsetMin < 0 ? "-" : "+"}${String(Math.floor(a / 60)).padStart(2, "0")}:${String(a % 60).padStart(2, "0")}`;
+  }
+
+  // Hobart wall time -> epoch ms (month is 0-based, as for Date)
+  function zonedTimeToMs(year, month, day, hour = 0, minute = 0, second = 0, millis = 0) {
+    const asUtc = Date.UTC(year, month, day, hour, minute, second, millis);
+    // Second pass picks up a DST change between the guess and the real instant
+    const first = asUtc - zoneParts(asUtc).offsetMin * 60000;
+    return asUtc - zoneParts(first).offsetMin * 60000;
+  }
+
+  // ISO-style text (offset optional) -> epoch ms, NaN when unreadable
+  function parseTimestamp(text) {
+    const s = String(text ?? "").trim().replace(/^"|"$/g, "");
+    const m = s.match(ISO_TIMESTAMP_RE);
+    if (!m) return NaN;
+
+    const [, y, mo, d, h, mi, sec, frac, zone] = m;
+    const millis = frac ? Number(frac.padEnd(3, "0")) : 0;
+    const wallUtc = Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h || 0), Number(mi || 0), Number(sec || 0), millis);
+    if (!Number.isFinite(wallUtc)) return NaN;
+    if (!zone) return zonedTimeToMs(Number(y), Number(mo) - 1, Number(d), Number(h || 0), Number(mi || 0), Number(sec || 0), millis);
+    if (zone.toUpperCase() === "Z") return wallUtc;
+
+    const sign = zone[0] === "-" ? -1 : 1;
+    const digits = zone.slice(1).replace(":", "");
+    return wallUtc - sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60000;
+  }
+
+  const pad2 = n => String(n).padStart(2, "0");
+
+  // "19 Oct 2026 14:30 AEDT" – the one display format for times on the site
+  function formatDateTime(v) {
+    const ms = toTimeMs(v);
+    if (!Number.isFinite(ms)) return "";
+    const p = zoneParts(ms);
+    return `${p.day} ${SHORT_MONTHS[p.month - 1]} ${p.year} ${pad2(p.hour)}:${pad2(p.minute)} ${zoneLabel(p.offsetMin)}`;
+  }
+
+  // "19 Oct 2026"
+  function formatDate(v) {
+    const ms = toTimeMs(v);
+    if (!Number.isFinite(ms)) return "";
+    const p = zoneParts(ms);
+    return `${p.day} ${SHORT_MONTHS[p.month - 1]} ${p.year}`;
+  }
+
+  // "14:30 AEDT"
+  function formatTime(v) {
+    const ms = toTimeMs(v);
+    if (!Number.isFinite(ms)) return "";
+    const p = zoneParts(ms);
+    return `${pad2(p.hour)}:${pad2(p.minute)} ${zoneLabel(p.offsetMin)}`;
+  }
+
+  // "2026-10-19T14:30:00+11:00" for exports
+  function formatIsoLocal(v) {
+    const ms = toTimeMs(v);
+    if (!Number.isFinite(ms)) return "";
+    const p = zoneParts(ms);
+    const a = Math.abs(p.offsetMin);
+    const offset = `${p.offsetMin < 0 ? "-" : "+"}${pad2(Math.floor(a / 60))}:${pad2(a % 60)}`;
+    return `${p.year}-${pad2(p.month)}-${pad2(p.day)}T${pad2(p.hour)}:${pad2(p.minute)}:${pad2(p.second)}${offset}`;
+  }
+
+  // Start of the Hobart day containing ms
+  function startOfZonedDay(ms) {
+    const p = zoneParts(ms);
+    return zonedTimeToMs(p.year, p.month - 1, p.day);
+  }
+
+  function toTimeMs(v) {
+    if (v == null || v === "") return NaN;
+    if (v instanceof Date) return v.getTime();
+    if (typeof v === "number") return v;
+    return parseTimestamp(v);
+  }
+
+  return {
+    DISPLAY_TIMEZONE,
+    SHORT_MONTHS,
+    zoneParts,
+    zoneLabel,
+    zonedTimeToMs,
+    parseTimestamp,
+    toTimeMs,
+    pad2,
+    formatDateTime,
+    formatDate,
+    formatTime,
+    formatIsoLocal,
+    startOfZonedDay
+  };
+});
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/* =========================================================
+   TasPorts Public Dashboard — scripts/alert-webhook.js
+   - Polls every tile series (same URLs, triggers and classification as the
+     dashboard, via lib/) and POSTs amber/red changes and recoveries to a webhook
+   - The last statuses are kept in a state file between runs; the first run
+     only records a baseline
+   - One pass per run (for cron / a scheduled task), or --every <minutes> to
+     keep running
+   Usage:
+     node scripts/alert-webhook.js --webhook https://hooks.example/abc
+       [--stations stations.json] [--triggers triggers.json]
+       [--state .alert-state.json] [--every 5]
+   The webhook may also come from TASPORTS_WEBHOOK_URL. --stations / --triggers
+   take a file path or an http(s) URL (e.g. the live site's copies).
+========================================================= */
+const fs = require("fs");
+const path = require("path");
+
+const { formatIsoLocal } = require("../lib/time.js");
+const { PARAMETERS } = require("../lib/params.js");
+const { fetchSeriesFromDataUrl } = require("../lib/sources.js");
+const { latestPoint } = require("../lib/series.js");
+const { normaliseTriggerConfig, setTriggerConfig } = require("../lib/thresholds.js");
+const { migrateStationsConfig, setDataWindows, getParameterUrl, parameterWindowKey } = require("../lib/datakeys.js");
+const { isStale, staleAfterMsFor } = require("../lib/freshness.js");
+const { tileSeries } = require("../lib/tiles.js");
+const { diffStatuses, changeText } = require("../lib/alerts.js");
+
+const ROOT = path.join(__dirname, "..");
+
+const DEFAULTS = {
+  stations: path.join(ROOT, "stations.json"),
+  triggers: path.join(ROOT, "triggers.json"),
+  state: path.join(ROOT, ".alert-state.json"),
+  every: 0
+};
+
+function parseArgs(argv, env = process.env) {
+  const opts = { ...DEFAULTS, webhook: env.TASPORTS_WEBHOOK_URL || "" };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split("=", 2);
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+
+    if (flag === "--webhook") opts.webhook = value();
+    else if (flag === "--stations") opts.stations = value();
+    else if (flag === "--triggers") opts.triggers = value();
+    else if (flag === "--state") opts.state = value();
+    else if (flag === "--every") opts.every = Number(value());
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+
+  if (!Number.isFinite(opts.every) || opts.every < 0) throw new Error("--every needs a number of minutes");
+  return opts;
+}
+
+async function readJson(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const res = await fetch(source, { cache: "no-store" });
+    if (!res.ok) throw new Error(`Fetch failed: ${res.status} for ${source}`);
+    return res.json();
+  }
+  return JSON.parse(fs.readFileSync(source, "utf8"));
+}
+
+function readState(file) {
+  try {
+    const state = JSON.parse(fs.readFileSync(file, "utf8"));
+    return state && typeof state.statuses === "object" ? state.statuses : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeState(file, statuses) {
+  fs.writeFileSync(file, JSON.stringify({ updated_at: formatIsoLocal(Date.now()), statuses }, null, 2));
+}
+
+// One reading per tile, fetched fresh (the lib cache would otherwise hold a copy for up to DATA_TTL_MS)
+async function collectReadings(stations) {
+  const slots = [];
+  for (const { param, windowKey } of tileSeries(stations)) {
+    for (const st of stations) {
+      for (const sensor of Array.isArray(st.sensors) ? st.sensors : ["top"]) {
+        const url = getParameterUrl(st, sensor, param, windowKey);
+        // The window actually read (DO / pH / temperature use the first configured one)
+        const seriesWindowKey = windowKey || parameterWindowKey(st, sensor, param, null);
+        if (url) slots.push({ st, sensor, param, windowKey, seriesWindowKey, url });
+      }
+    }
+  }
+
+  return Promise.all(slots.map(async ({ st, sensor, param, windowKey, seriesWindowKey, url }) => {
+    const base = { stationId: st.id, stationName: st.name, sensor, param, windowKey, seriesWindowKey };
+    try {
+      const last = latestPoint(await fetchSeriesFromDataUrl(url, { force: true }));
+      if (!last) return { ...base, ok: false };
+      return {
+        ...base,
+        ok: true,
+        value: last.value,
+        timestamp: last.timestamp,
+        stale: isStale(last.timestamp, staleAfterMsFor(st, sensor, param, windowKey))
+      };
+    } catch (e) {
+      console.warn(`[alerts] ${st.id} ${sensor} ${param} ${seriesWindowKey}: ${e?.message || e}`);
+      return { ...base, ok: false };
+    }
+  }));
+}
+
+function webhookPayload(changes) {
+  const items = changes.map(c => {
+    const { title, body } = changeText(c);
+    return {
+      kind: c.kind,
+      station_id: c.stationId,
+      station: c.stationName,
+      sensor: c.sensor,
+      parameter: c.param,
+      window: c.seriesWindowKey || c.windowKey || "",
+      from: c.from,
+      to: c.to,
+      value: c.value,
+      unit: PARAMETERS[c.param]?.unitName || "",
+      timestamp: formatIsoLocal(c.timestamp),
+      title,
+      message: body
+    };
+  });
+
+  return {
+    source: "tasports-dashboard",
+    generated_at: formatIsoLocal(Date.now()),
+    changes: items,
+    // Plain-text summary for chat webhooks (Slack / Teams style)
+    text: items.map(i => `${i.title} – ${i.message}`).join("\n")
+  };
+}
+
+async function postWebhook(url, payload) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+  if (!res.ok) throw new Error(`Webhook failed: ${res.status}`);
+}
+
+/**
+ * One polling pass. The state file only moves forward once the webhook has
+ * accepted the changes, so a failed POST is retried on the next pass.
+ * Returns { baseline, changes }.
+ */
+async function runOnce(opts) {
+  const { doc } = migrateStationsConfig(await readJson(opts.stations));
+  setDataWindows(doc?.schema?.windows);
+  setTriggerConfig(normaliseTriggerConfig(await readJson(opts.triggers)));
+
+  const prev = readState(opts.state);
+  const { snapshot, changes } = diffStatuses(prev, await collectReadings(doc?.stations || []));
+
+  if (changes.length) {
+    if (!opts.webhook) throw new Error("No webhook configured (--webhook or TASPORTS_WEBHOOK_URL)");
+    await postWebhook(opts.webhook, webhookPayload(changes));
+  }
+
+  writeState(opts.state, snapshot);
+  return { baseline: !prev, changes };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  const pass = async () => {
+    try {
+      const { baseline, changes } = await runOnce(opts);
+      console.log(baseline ? "[alerts] baseline recorded" : `[alerts] ${changes.length} change(s) sent`);
+      return true;
+    } catch (e) {
+      console.error("[alerts]", e?.message || e);
+      return false;
+    }
+  };
+
+  if (!opts.every) {
+    process.exitCode = (await pass()) ? 0 : 1;
+    return;
+  }
+
+  for (;;) {
+    await pass();
+    await new Promise(resolve => setTimeout(resolve, opts.every * 60 * 1000));
+  }
+}
+
+module.exports = { parseArgs, collectReadings, webhookPayload, runOnce };
+
+if (require.main === module) main();
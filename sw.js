@@ -0,0 +1,131 @@
+/* =========================================================
+   TasPorts Public Dashboard — sw.js
+   - Precaches the site shell: HTML pages, styles.css, app.js, config JSON
+   - Site files (and Leaflet from unpkg): network first, cached copy when offline;
+     the demo fixture bundle is cached like this on first use, not precached
+   - Data URLs (Eagle.io, and CSV URLs whose path ends in .csv): network first;
+     the last good response per URL is kept and served when the network or
+     upstream fails, stamped with the time it was fetched (X-Tasports-Cached-At,
+     epoch ms) so app.js can label it
+   - "csv:<url>" sources without a .csv path cannot be told apart from other
+     requests here, so they get no last-good copy
+========================================================= */
+const SHELL_CACHE = "tasports-shell-v1";
+const DATA_CACHE = "tasports-data-v1";
+
+const SHELL_FILES = [
+  "/",
+  "/index.html",
+  "/charts.html",
+  "/calibration.html",
+  "/exceedances.html",
+  "/station.html",
+  "/report.html",
+  "/health.html",
+  "/styles.css",
+  "/app.js",
+  "/lib/util.js",
+  "/lib/time.js",
+  "/lib/params.js",
+  "/lib/fetch.js",
+  "/lib/series.js",
+  "/lib/sources.js",
+  "/lib/thresholds.js",
+  "/lib/datakeys.js",
+  "/lib/freshness.js",
+  "/lib/tiles.js",
+  "/lib/alerts.js",
+  "/lib/report.js",
+  "/lib/calibration.js",
+  "/logo.png",
+  "/stations.json",
+  "/triggers.json",
+  "/calibration.json"
+];
+
+// Keep in step with EAGLE_DATA_URL_RE and the csv adapter in lib/sources.js
+const EAGLE_DATA_URL_RE = /^https:\/\/public\.eagle\.io\/public\/data\/[a-z0-9]+/i;
+const CSV_DATA_URL_RE = /\.csv(?:[?#]|$)/i;
+const CACHED_AT_HEADER = "X-Tasports-Cached-At";
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", event => {
+  // Drop caches from older versions of this worker
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(k => k.startsWith("tasports-") && k !== SHELL_CACHE && k !== DATA_CACHE)
+          .map(k => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function shellResponse(request) {
+  try {
+    const resp = await fetch(request);
+    if (resp.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(request, resp.clone());
+    }
+    return resp;
+  } catch (e) {
+    // Config is fetched with query-free URLs, but pages may carry ?station= / ?debug=
+    const hit = await caches.match(request, { ignoreSearch: true });
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+async function dataResponse(request) {
+  const cache = await caches.open(DATA_CACHE);
+  let failure = null;
+
+  try {
+    const resp = await fetch(request);
+    if (resp.ok) {
+      const body = await resp.clone().text();
+      await cache.put(request.url, new Response(body, {
+        headers: {
+          "Content-Type": resp.headers.get("Content-Type") || "text/csv",
+          [CACHED_AT_HEADER]: String(Date.now())
+        }
+      }));
+      return resp;
+    }
+
+    // Only upstream trouble falls back; a 404 means the URL itself is wrong
+    if (resp.status !== 429 && resp.status < 500) return resp;
+    failure = resp;
+  } catch (e) {
+    failure = e;
+  }
+
+  const hit = await cache.match(request.url);
+  if (hit) return hit;
+  if (failure instanceof Response) return failure;
+  throw failure;
+}
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  if (EAGLE_DATA_URL_RE.test(request.url) || CSV_DATA_URL_RE.test(request.url)) {
+    event.respondWith(dataResponse(request));
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin || url.hostname === "unpkg.com") {
+    event.respondWith(shellResponse(request));
+  }
+});
@@ -0,0 +1,186 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const { diffStatuses, changeText, statusKey } = require("../lib/alerts.js");
+const { normaliseTriggerConfig, setTriggerConfig } = require("../lib/thresholds.js");
+const { setDataWindows } = require("../lib/datakeys.js");
+const { parseArgs, runOnce, webhookPayload } = require("../scripts/alert-webhook.js");
+
+const repoTriggersFile = path.join(__dirname, "..", "triggers.json");
+const repoTriggers = JSON.parse(fs.readFileSync(repoTriggersFile, "utf8"));
+
+function withTriggers(t) {
+  setTriggerConfig(normaliseTriggerConfig(repoTriggers));
+  t.after(() => setTriggerConfig(null));
+}
+
+const NOW = "2026-10-19T03:00:00.000Z";
+const reading = (value, extra = {}) => ({
+  stationId: "seagrass",
+  stationName: "Seagrass",
+  sensor: "top",
+  param: "turbidity",
+  windowKey: "6d",
+  ok: true,
+  value,
+  timestamp: NOW,
+  stale: false,
+  ...extra
+});
+
+test("the first snapshot is a baseline, later moves into amber/red are alerts", t => {
+  withTriggers(t);
+
+  const first = diffStatuses(null, [reading(4.1)]);
+  assert.deepEqual(first.changes, []);
+  assert.equal(first.snapshot[statusKey(reading(0))], "amber");
+
+  const same = diffStatuses(first.snapshot, [reading(4.2)]);
+  assert.deepEqual(same.changes, []);
+
+  const red = diffStatuses(same.snapshot, [reading(4.5)]);
+  assert.deepEqual(red.changes.map(c => [c.kind, c.from, c.to]), [["alert", "amber", "red"]]);
+
+  const back = diffStatuses(red.snapshot, [reading(3.2)]);
+  assert.deepEqual(back.changes.map(c => [c.kind, c.from, c.to]), [["recovery", "red", "green"]]);
+});
+
+test("stale and missing readings keep the last real status", t => {
+  withTriggers(t);
+
+  let { snapshot } = diffStatuses(null, [reading(4.1)]);
+  ({ snapshot } = diffStatuses(snapshot, [reading(3.0, { stale: true })]));
+  ({ snapshot } = diffStatuses(snapshot, [reading(undefined, { ok: false })]));
+  assert.equal(snapshot[statusKey(reading(0))], "amber");
+
+  // Back with a value still over the amber trigger: not news
+  assert.deepEqual(diffStatuses(snapshot, [reading(4.2)]).changes, []);
+});
+
+test("a series first seen after the baseline is recorded, not reported", t => {
+  withTriggers(t);
+  const { snapshot } = diffStatuses(null, [reading(3.0)]);
+  const later = diffStatuses(snapshot, [reading(3.0, { windowKey: "raw" }), reading(3.1)]);
+  assert.deepEqual(later.changes, []);
+});
+
+test("changeText names the site, sensor, series and reading", t => {
+  withTriggers(t);
+  const { title, body } = changeText({ ...reading(4.412), kind: "alert", from: "green", to: "red" });
+  assert.equal(title, "Seagrass top sensor: Turbidity 6-day rolling median RED");
+  assert.equal(body, "4.41 FNU at 19 Oct 2026 14:00 AEDT (was green)");
+
+  const rec = changeText({ ...reading(3.2), kind: "recovery", from: "amber", to: "green" });
+  assert.match(rec.title, /back within trigger$/);
+});
+
+test("parseArgs reads flags and the webhook from the environment", () => {
+  const opts = parseArgs(["--state=/tmp/s.json", "--every", "5"], { TASPORTS_WEBHOOK_URL: "http://hook" });
+  assert.equal(opts.webhook, "http://hook");
+  assert.equal(opts.state, "/tmp/s.json");
+  assert.equal(opts.every, 5);
+  assert.throws(() => parseArgs(["--bogus"], {}), /Unknown option/);
+  assert.throws(() => parseArgs(["--every", "soon"], {}), /--every/);
+});
+
+test("webhook items name the window a value was read from", t => {
+  withTriggers(t);
+  const { changes } = webhookPayload([
+    { ...reading(4.5), kind: "alert", from: "green", to: "red" },
+    { ...reading(60), param: "do", windowKey: null, seriesWindowKey: "raw", kind: "alert", from: "green", to: "red" }
+  ]);
+  assert.deepEqual(changes.map(c => c.window), ["6d", "raw"]);
+});
+
+/* Local stub: serves one CSV data URL and records webhook POSTs */
+function startStub() {
+  const stub = { value: 3.2, hookStatus: 200, posts: [] };
+
+  const server = http.createServer((req, res) => {
+    if (req.method === "GET" && req.url === "/seagrass-6d.csv") {
+      const at = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+      res.writeHead(200, { "Content-Type": "text/csv" });
+      res.end(`Timestamp,Turbidity (FNU)\n${at},${stub.value}\n`);
+      return;
+    }
+    if (req.method === "POST" && req.url === "/hook") {
+      let body = "";
+      req.on("data", chunk => (body += chunk));
+      req.on("end", () => {
+        stub.posts.push(JSON.parse(body));
+        res.writeHead(stub.hookStatus);
+        res.end();
+      });
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      stub.base = `http://127.0.0.1:${server.address().port}`;
+      stub.close = () => new Promise(done => server.close(done));
+      resolve(stub);
+    });
+  });
+}
+
+test("the webhook script posts changes to a stub server and only advances state on success", async t => {
+  const stub = await startStub();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tasports-alerts-"));
+  t.after(async () => {
+    await stub.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    setTriggerConfig(null);
+    setDataWindows(null);
+  });
+
+  const stations = path.join(dir, "stations.json");
+  fs.writeFileSync(stations, JSON.stringify({
+    schema: { windows: [{ key: "6d", label: "6-day rolling median" }] },
+    stations: [{
+      id: "seagrass",
+      name: "Seagrass",
+      coords: [-41.1614, 146.3944],
+      sensors: ["top"],
+      values: { top: { turbidity: { "6d": `${stub.base}/seagrass-6d.csv` } } }
+    }]
+  }));
+
+  const opts = parseArgs(
+    ["--stations", stations, "--triggers", repoTriggersFile, "--state", path.join(dir, "state.json"), "--webhook", `${stub.base}/hook`],
+    {}
+  );
+
+  const first = await runOnce(opts);
+  assert.equal(first.baseline, true);
+  assert.equal(stub.posts.length, 0);
+
+  stub.value = 4.5;
+  stub.hookStatus = 500;
+  await assert.rejects(runOnce(opts), /Webhook failed: 500/);
+  assert.equal(stub.posts.length, 1);
+
+  // The failed POST did not move the state on, so the change is sent again
+  stub.hookStatus = 200;
+  const second = await runOnce(opts);
+  assert.deepEqual(second.changes.map(c => [c.kind, c.from, c.to]), [["alert", "green", "red"]]);
+  assert.equal(stub.posts.length, 2);
+
+  const [payload] = stub.posts.slice(-1);
+  assert.equal(payload.source, "tasports-dashboard");
+  assert.deepEqual(
+    payload.changes.map(c => [c.station_id, c.sensor, c.parameter, c.window, c.to, c.value, c.unit]),
+    [["seagrass", "top", "turbidity", "6d", "red", 4.5, "FNU"]]
+  );
+  assert.match(payload.text, /^Seagrass top sensor: Turbidity 6-day rolling median RED – 4\.50 FNU at /);
+
+  const third = await runOnce(opts);
+  assert.deepEqual(third.changes, []);
+  assert.equal(stub.posts.length, 2);
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const {
+  parseCalibrationDate,
+  normaliseCalibration,
+  calibrationEntryAt,
+  calibrationStatusAt
+} = require("../lib/calibration.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const register = {
+  calibration_interval_days: { default: 30, bottom_sonde: 60 },
+  due_soon_days: 7,
+  sensors: [
+    { station: "forth", sensor: "top", events: [{ date: "1 Sep 2026 09:00", type: "calibration" }] },
+    { station: "forth", sensor: "bottom", sensor_type: "bottom_sonde", events: [{ date: "1 Sep 2026 09:00", type: "calibration" }] }
+  ]
+};
+
+test("calibration status moves ok -> due -> overdue over the configured interval", () => {
+  const [top, bottom] = normaliseCalibration(register).entries;
+  const calibrated = parseCalibrationDate("1 Sep 2026 09:00");
+
+  assert.equal(top.intervalDays, 30);
+  assert.equal(top.dueMs, calibrated + 30 * DAY);
+  assert.equal(calibrationStatusAt(top, calibrated + DAY), "ok");
+  assert.equal(calibrationStatusAt(top, top.dueMs - 7 * DAY - 1), "ok");
+  assert.equal(calibrationStatusAt(top, top.dueMs - 7 * DAY), "due");
+  assert.equal(calibrationStatusAt(top, top.dueMs - 1), "due");
+  assert.equal(calibrationStatusAt(top, top.dueMs), "overdue");
+
+  // The sensor type's own interval wins over the default
+  assert.equal(bottom.intervalDays, 60);
+  assert.equal(calibrationStatusAt(bottom, calibrated + 40 * DAY), "ok");
+});
+
+test("without an interval for the sensor the status stays unknown", () => {
+  const [entry] = normaliseCalibration({ ...register, calibration_interval_days: { bottom_sonde: 60 } }).entries;
+  assert.ok(Number.isNaN(entry.dueMs));
+  assert.equal(calibrationStatusAt(entry, Date.now()), "unknown");
+  assert.equal(calibrationStatusAt(null, Date.now()), "unknown");
+});
+
+test("calibrationEntryAt ignores calibrations after the instant", () => {
+  const [entry] = normaliseCalibration({
+    ...register,
+    sensors: [{ station: "forth", sensor: "top", events: [
+      { date: "1 Sep 2026 09:00", type: "calibration" },
+      { date: "1 Oct 2026 09:00", type: "calibration" }
+    ] }]
+  }).entries;
+
+  const before = calibrationEntryAt(entry, parseCalibrationDate("15 Sep 2026"));
+  assert.equal(before.lastMs, parseCalibrationDate("1 Sep 2026 09:00"));
+  assert.equal(calibrationStatusAt(before, parseCalibrationDate("28 Sep 2026")), "due");
+  assert.equal(calibrationStatusAt(entry, parseCalibrationDate("28 Sep 2026")), "ok");
+});
+
+test("every sensor in the shipped register has an interval", () => {
+  const data = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "calibration.json"), "utf8"));
+  for (const e of normaliseCalibration(data).entries) {
+    assert.ok(Number.isFinite(e.intervalDays), `${e.station}/${e.sensor} has no calibration interval`);
+  }
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_DATA_WINDOWS,
+  setDataWindows,
+  migrateStationsConfig,
+  parameterWindowKey,
+  getParameterUrl,
+  getTurbidityUrl,
+  seriesWindowsFor
+} = require("../lib/datakeys.js");
+
+const URL6 = "https://public.eagle.io/public/data/six";
+const URL15 = "https://public.eagle.io/public/data/fifteen";
+const URLDO = "https://public.eagle.io/public/data/dissolved";
+
+const canonical = {
+  id: "forth",
+  sensors: ["top"],
+  values: { top: { turbidity: { "6d": URL6, "15d": URL15 }, do: { raw: URLDO } } }
+};
+
+test("getTurbidityUrl reads values[sensor].turbidity[window]", t => {
+  setDataWindows(DEFAULT_DATA_WINDOWS);
+  t.after(() => setDataWindows(null));
+
+  assert.equal(getTurbidityUrl(canonical, "top", "6d"), URL6);
+  assert.equal(getTurbidityUrl(canonical, "top", "15d"), URL15);
+  assert.equal(getTurbidityUrl(canonical, "top", "1h"), "");
+  assert.equal(getTurbidityUrl(canonical, "bottom", "6d"), "");
+  assert.equal(getTurbidityUrl(null, "top", "6d"), "");
+});
+
+test("with no window the first declared window with a URL is used", t => {
+  setDataWindows([{ key: "15d" }, { key: "6d" }]);
+  t.after(() => setDataWindows(null));
+
+  assert.equal(getTurbidityUrl(canonical, "top"), URL15);
+  assert.equal(getParameterUrl(canonical, "top", "do"), "");
+
+  setDataWindows(null);
+  assert.equal(getTurbidityUrl(canonical, "top"), URL6);
+  assert.equal(getParameterUrl(canonical, "top", "do"), URLDO);
+});
+
+test("parameterWindowKey names the window getParameterUrl reads", t => {
+  setDataWindows(DEFAULT_DATA_WINDOWS);
+  t.after(() => setDataWindows(null));
+
+  assert.equal(parameterWindowKey(canonical, "top", "do"), "raw");
+  assert.equal(parameterWindowKey(canonical, "top", "turbidity"), "6d");
+  assert.equal(parameterWindowKey(canonical, "top", "turbidity", "15d"), "15d");
+  assert.equal(parameterWindowKey(canonical, "top", "turbidity", "1h"), "");
+  assert.equal(parameterWindowKey(canonical, "bottom", "do"), "");
+});
+
+test("legacy flat keys are migrated and noted", () => {
+  const { doc, problems } = migrateStationsConfig({
+    stations: [{ id: "forth", values: { top: { turbidity_6d: URL6, turbidity15: URL15, do: URLDO } } }]
+  });
+
+  const st = doc.stations[0];
+  assert.equal(getTurbidityUrl(st, "top", "6d"), URL6);
+  assert.equal(getTurbidityUrl(st, "top", "15d"), URL15);
+  assert.equal(getParameterUrl(st, "top", "do", "raw"), URLDO);
+  assert.deepEqual(doc.schema.windows.map(w => w.key), ["raw", "1h", "6d", "15d"]);
+  assert.ok(problems.every(p => p.severity === "info"));
+});
+
+test("a bare turbidity key is reported, not guessed", () => {
+  const { doc, problems } = migrateStationsConfig({
+    schema: { windows: [{ key: "6d" }] },
+    stations: [{ id: "forth", values: { top: { turbidity: URL6, mystery: URL15 } } }]
+  });
+
+  assert.equal(getTurbidityUrl(doc.stations[0], "top", "6d"), "");
+  assert.deepEqual(problems.map(p => [p.severity, p.path]), [
+    ["warning", "stations[0].values.top.turbidity"],
+    ["warning", "stations[0].values.top.mystery"]
+  ]);
+});
+
+test("canonical entries win over leftover legacy keys", () => {
+  const { doc, problems } = migrateStationsConfig({
+    schema: { windows: [{ key: "6d" }] },
+    stations: [{ id: "forth", values: { top: { turbidity_6d: "https://public.eagle.io/public/data/old", turbidity: { "6d": URL6 } } } }]
+  });
+
+  assert.equal(getTurbidityUrl(doc.stations[0], "top", "6d"), URL6);
+  assert.match(problems[0].message, /duplicates turbidity\.6d/);
+});
+
+test("seriesWindowsFor lists windows with a URL on any sensor", t => {
+  setDataWindows(null);
+  t.after(() => setDataWindows(null));
+  assert.deepEqual(seriesWindowsFor([canonical], "turbidity"), ["6d", "15d"]);
+  assert.deepEqual(seriesWindowsFor([canonical], "do"), ["raw"]);
+  assert.deepEqual(seriesWindowsFor([], "turbidity"), []);
+});
@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { isStale, missingReadings, seriesCadenceMs } = require("../lib/freshness.js");
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse("2026-10-19T03:00:00Z");
+const hourly = n => Array.from({ length: n }, (_, i) => ({ time: T0 + i * HOUR, value: i }));
+
+test("isStale is judged against the given instant (historical view)", () => {
+  const ts = "2026-10-19T03:00:00.000Z";
+  assert.equal(isStale(ts, 2 * HOUR, T0 + HOUR), false);
+  assert.equal(isStale(ts, 2 * HOUR, T0 + 3 * HOUR), true);
+  assert.equal(isStale("", 2 * HOUR, T0), false);
+  assert.equal(isStale("not a time", 2 * HOUR, T0), false);
+});
+
+test("missingReadings counts overdue readings from the series' own cadence", () => {
+  const pts = hourly(6);
+  assert.equal(seriesCadenceMs(pts), HOUR);
+  const last = pts[pts.length - 1].time;
+  // One interval of publishing delay is allowed
+  assert.equal(missingReadings(pts, last + 1.5 * HOUR), 0);
+  assert.equal(missingReadings(pts, last + 4 * HOUR), 3);
+  assert.equal(missingReadings(hourly(2), last + 10 * HOUR), 0);
+});
@@ -0,0 +1,59 @@
+// Fake fetch for the lib/ tests: answers from recorded fixture files and
+// records every call, so tests can check retries and caching.
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf8");
+}
+
+function response({ status = 200, body = "", headers = {} }) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Map(Object.entries(headers)),
+    text: async () => body,
+    json: async () => JSON.parse(body)
+  };
+}
+
+/**
+ * routes: { [url]: reply | reply[] }, reply = { status?, body?, file?, headers? } or an Error to throw.
+ * An array is played in order (the last entry repeats). Unknown URLs get a 404.
+ */
+function fakeFetch(routes = {}) {
+  const calls = [];
+  const played = new Map();
+
+  const fetch = async (url, init) => {
+    calls.push({ url: String(url), init });
+
+    let reply = routes[url];
+    if (Array.isArray(reply)) {
+      const i = played.get(url) || 0;
+      played.set(url, i + 1);
+      reply = reply[Math.min(i, reply.length - 1)];
+    }
+
+    if (!reply) return response({ status: 404 });
+    if (reply instanceof Error) throw reply;
+    return response({ ...reply, body: reply.file ? fixture(reply.file) : reply.body });
+  };
+
+  fetch.calls = calls;
+  fetch.callsFor = url => calls.filter(c => c.url === url).length;
+  return fetch;
+}
+
+// Swap globalThis.fetch for the duration of a test
+function useFakeFetch(t, routes) {
+  const original = globalThis.fetch;
+  const fake = fakeFetch(routes);
+  globalThis.fetch = fake;
+  t.after(() => { globalThis.fetch = original; });
+  return fake;
+}
+
+module.exports = { fixture, fakeFetch, useFakeFetch };
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { median, periodStats, timeByStatus, completeness, longestGap } = require("../lib/report.js");
+const { parseEagleCsv } = require("../lib/series.js");
+const { fixture } = require("./helpers/fake-fetch.js");
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse("2026-10-19T00:00:00Z");
+const pt = (h, value) => ({ time: T0 + h * HOUR, value });
+
+test("median of odd and even counts, NaN when empty", () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 3, 2]), 2.5);
+  assert.ok(Number.isNaN(median([])));
+});
+
+test("periodStats only counts readings inside [from, to)", () => {
+  const pts = [pt(-1, 99), pt(0, 1), pt(1, 5), pt(2, 3), pt(3, 99)];
+  assert.deepEqual(periodStats(pts, T0, T0 + 3 * HOUR), { count: 3, median: 3, min: 1, max: 5 });
+
+  const none = periodStats(pts, T0 + 10 * HOUR, T0 + 11 * HOUR);
+  assert.equal(none.count, 0);
+  assert.ok(Number.isNaN(none.median) && Number.isNaN(none.min));
+});
+
+test("timeByStatus holds each status until the next reading, capped by maxHold", () => {
+  const status = p => (p.value >= 2 ? "amber" : "green");
+  // A reading an hour before the period still covers its first hour
+  const pts = [pt(-1, 1), pt(1, 2), pt(2, 1), pt(8, 2)];
+  const ms = timeByStatus(pts, status, T0, T0 + 10 * HOUR, 3 * HOUR);
+
+  assert.equal(ms.green / HOUR, 1 + 3);
+  assert.equal(ms.amber / HOUR, 1 + 2);
+  // 5:00–8:00 is past the hold on the 2:00 reading
+  assert.equal(ms.nodata / HOUR, 3);
+  assert.equal(ms.red, 0);
+  assert.equal(Object.values(ms).reduce((a, b) => a + b, 0), 10 * HOUR);
+});
+
+test("timeByStatus is all no-data without readings", () => {
+  const ms = timeByStatus([], () => "green", T0, T0 + 2 * HOUR, HOUR);
+  assert.equal(ms.nodata, 2 * HOUR);
+  assert.equal(ms.green, 0);
+});
+
+test("completeness compares readings received with readings due", () => {
+  const pts = [0, 1, 2, 4, 5].map(h => pt(h, 1));
+  assert.deepEqual(completeness(pts, T0, T0 + 6 * HOUR, HOUR), { expected: 6, received: 5, pct: (5 / 6) * 100 });
+  assert.deepEqual(completeness(pts, T0, T0 + 6 * HOUR, null), { expected: null, received: 5, pct: null });
+});
+
+test("completeness rounds readings due up when the period is not a whole number of intervals", () => {
+  const pts = [0, 1, 2, 3, 4].map(h => pt(h, 1));
+  assert.deepEqual(completeness(pts, T0, T0 + 4.25 * HOUR, HOUR), { expected: 5, received: 5, pct: 100 });
+  assert.deepEqual(completeness(pts.slice(1), T0, T0 + 4.25 * HOUR, HOUR), { expected: 5, received: 4, pct: 80 });
+});
+
+test("longestGap finds the biggest hole, including one still open", () => {
+  const pts = [0, 1, 5, 6].map(h => pt(h, 1));
+  assert.deepEqual(longestGap(pts, T0, T0 + 7 * HOUR), { ms: 4 * HOUR, startMs: T0 + HOUR, endMs: T0 + 5 * HOUR, ongoing: false });
+
+  const open = longestGap(pts, T0, T0 + 12 * HOUR);
+  assert.equal(open.ms, 6 * HOUR);
+  assert.equal(open.ongoing, true);
+
+  // Clipped to the window; no readings at all gives null
+  assert.equal(longestGap(pts, T0 + 3 * HOUR, T0 + 7 * HOUR).ms, 2 * HOUR);
+  assert.equal(longestGap([], T0, T0 + HOUR), null);
+});
+
+test("a recorded Eagle.io series summarises over its whole span", () => {
+  const { points } = parseEagleCsv(fixture("eagle-seagrass-top-6d.csv"));
+  const from = points[0].time;
+  const to = points[points.length - 1].time + 1;
+
+  const stats = periodStats(points, from, to);
+  assert.equal(stats.count, points.length);
+  assert.ok(stats.min <= stats.median && stats.median <= stats.max);
+  assert.equal(stats.max, Math.max(...points.map(p => p.value)));
+});
@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseEagleCsv, parseGenericCsv, parseFixtureSeries } = require("../lib/series.js");
+const { fetchLatestFromDataUrl, fetchSeriesFromDataUrl, dataAdapterFor } = require("../lib/sources.js");
+const { fetchFailures } = require("../lib/fetch.js");
+const { fixture, useFakeFetch } = require("./helpers/fake-fetch.js");
+
+const EAGLE = id => `https://public.eagle.io/public/data/${id}`;
+
+test("parseEagleCsv reads a recorded Eagle.io export", () => {
+  const series = parseEagleCsv(fixture("eagle-seagrass-top-6d.csv"));
+
+  assert.deepEqual(series.columns, ["Timestamp", "Turbidity (FNU)"]);
+  assert.equal(series.header.length, 3);
+  assert.equal(series.points.length, 12);
+
+  const first = series.points[0];
+  const last = series.points[series.points.length - 1];
+  assert.equal(first.value, 3.86);
+  assert.equal(last.value, 4.41);
+  // Offset-less Eagle times are Hobart wall time (AEDT, +11:00 in October)
+  assert.equal(first.timestamp, "2026-10-18T16:00:00.000Z");
+  assert.equal(first.time, Date.parse("2026-10-19T03:00:00+11:00"));
+});
+
+test("parseEagleCsv picks the value column past a quality column and sorts by time", () => {
+  const series = parseEagleCsv(fixture("eagle-quality-columns.csv"));
+
+  assert.deepEqual(series.points.map(p => p.value), [93.8, 94.2, 95.1]);
+  assert.deepEqual(series.points.map(p => p.quality), ["149", "149", null]);
+  assert.deepEqual(series.points[2].extra, { "Battery (V)": "12,6" });
+  // July is AEST (+10:00)
+  assert.equal(series.points[0].timestamp, "2026-06-30T22:00:00.000Z");
+});
+
+test("parseEagleCsv returns no points for empty and header-only files", () => {
+  assert.deepEqual(parseEagleCsv(fixture("eagle-empty.csv")).points, []);
+  assert.deepEqual(parseEagleCsv("").points, []);
+  assert.deepEqual(parseEagleCsv(null).points, []);
+
+  const headerOnly = parseEagleCsv(fixture("eagle-header-only.csv"));
+  assert.deepEqual(headerOnly.points, []);
+  assert.deepEqual(headerOnly.columns, ["Timestamp", "Turbidity (FNU)"]);
+});
+
+test("parseEagleCsv limits points to opts.from / opts.to", () => {
+  const series = parseEagleCsv(fixture("eagle-seagrass-top-6d.csv"), {
+    from: "2026-10-19T05:00:00",
+    to: "2026-10-19T07:00:00"
+  });
+  assert.deepEqual(series.points.map(p => p.value), [3.95, 4.02, 4.08]);
+});
+
+test("parseGenericCsv reads day-first logger times as Hobart time", () => {
+  const series = parseGenericCsv("Date Time,Turbidity,Quality\n19/10/2026 14:30,2.7,\n19/10/2026 14:00,2.5,1\n31/02/2026 10:00,9,\n");
+  assert.deepEqual(series.points.map(p => [p.timestamp, p.value, p.quality]), [
+    ["2026-10-19T03:00:00.000Z", 2.5, "1"],
+    ["2026-10-19T03:30:00.000Z", 2.7, null]
+  ]);
+});
+
+test("parseFixtureSeries expands start/step series and shifts them", () => {
+  const series = parseFixtureSeries({ start: "2026-10-19T00:00:00Z", step_minutes: 30, values: [1, null, 3] }, 60000);
+  assert.deepEqual(series.points.map(p => [p.timestamp, p.value]), [
+    ["2026-10-19T00:01:00.000Z", 1],
+    ["2026-10-19T01:01:00.000Z", 3]
+  ]);
+});
+
+test("data URLs are routed to the adapter that claims them", () => {
+  assert.equal(dataAdapterFor(EAGLE("abc123")).id, "eagle");
+  assert.equal(dataAdapterFor("csv:https://logger.example/drop").id, "csv");
+  assert.equal(dataAdapterFor("https://logger.example/drop.csv?day=1").id, "csv");
+  assert.equal(dataAdapterFor("/fixtures/site.json").id, "fixture");
+  assert.equal(dataAdapterFor("https://example.com/page"), null);
+  assert.equal(dataAdapterFor(""), null);
+});
+
+test("fetchLatestFromDataUrl returns the newest reading of a recorded export", async t => {
+  const url = EAGLE("latest1");
+  const fetch = useFakeFetch(t, { [url]: { file: "eagle-seagrass-top-6d.csv" } });
+
+  assert.deepEqual(await fetchLatestFromDataUrl(url), { timestamp: "2026-10-19T03:00:00.000Z", value: 4.41 });
+
+  // A second read inside the TTL comes from the cache
+  await fetchLatestFromDataUrl(url);
+  assert.equal(fetch.callsFor(url), 1);
+});
+
+test("fetchLatestFromDataUrl gives null for an empty file", async t => {
+  const url = EAGLE("empty1");
+  useFakeFetch(t, { [url]: { file: "eagle-empty.csv" } });
+  assert.equal(await fetchLatestFromDataUrl(url), null);
+});
+
+test("a 404 fails at once; a 503 is retried", async t => {
+  const missing = EAGLE("missing1");
+  const flaky = EAGLE("flaky1");
+  const fetch = useFakeFetch(t, {
+    [flaky]: [{ status: 503 }, { file: "eagle-seagrass-top-6d.csv" }]
+  });
+
+  await assert.rejects(fetchLatestFromDataUrl(missing), /404/);
+  assert.equal(fetch.callsFor(missing), 1);
+
+  assert.equal((await fetchLatestFromDataUrl(flaky)).value, 4.41);
+  assert.equal(fetch.callsFor(flaky), 2);
+});
+
+test("fetches that still fail are logged with a short reason", async t => {
+  const missing = EAGLE("missing2");
+  const down = EAGLE("down1");
+  const since = Date.now();
+  useFakeFetch(t, { [down]: new Error("connect ECONNREFUSED") });
+
+  await assert.rejects(fetchLatestFromDataUrl(missing), /404/);
+  await assert.rejects(fetchLatestFromDataUrl(down), /ECONNREFUSED/);
+
+  const logged = fetchFailures(since).filter(f => f.url === missing || f.url === down);
+  assert.deepEqual(logged.map(f => [f.url, f.reason]), [[missing, "HTTP 404"], [down, "network error"]]);
+});
+
+test("URLs without an adapter are rejected before any request", async t => {
+  const fetch = useFakeFetch(t, {});
+  await assert.rejects(fetchSeriesFromDataUrl("https://example.com/page"), /No data source adapter/);
+  await assert.rejects(fetchSeriesFromDataUrl(""), /Missing data URL/);
+  assert.equal(fetch.calls.length, 0);
+});
+
+test("generic CSV and JSON fixture URLs go through their adapters", async t => {
+  useFakeFetch(t, {
+    "https://logger.example/backup.csv": { body: "Time,Value\n2026-10-19T10:00:00,1.5\n2026-10-19T11:00:00,1.75\n" },
+    "/fixtures/site.json": { body: JSON.stringify({ points: [["2026-10-19T10:00:00+11:00", 8.1]] }) }
+  });
+
+  const csv = await fetchSeriesFromDataUrl("https://logger.example/backup.csv");
+  assert.equal(csv.source, "csv");
+  assert.equal(csv.points[1].value, 1.75);
+
+  const json = await fetchSeriesFromDataUrl("fixture:/fixtures/site.json");
+  assert.equal(json.source, "fixture");
+  assert.deepEqual(json.points.map(p => [p.timestamp, p.value]), [["2026-10-18T23:00:00.000Z", 8.1]]);
+});
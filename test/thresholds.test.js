@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const {
+  normaliseTriggerConfig,
+  setTriggerConfig,
+  triggerRuleFor,
+  classifyAgainstRule,
+  classifyParameter,
+  classifyTurbidity
+} = require("../lib/thresholds.js");
+const { fixture } = require("./helpers/fake-fetch.js");
+
+const repoTriggers = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "triggers.json"), "utf8"));
+
+function withTriggers(t, data) {
+  setTriggerConfig(normaliseTriggerConfig(data));
+  t.after(() => setTriggerConfig(null));
+}
+
+test("classifyTurbidity uses the site's amber/red for the window", t => {
+  withTriggers(t, repoTriggers);
+
+  assert.equal(classifyTurbidity("seagrass", "6d", 3.99), "green");
+  assert.equal(classifyTurbidity("seagrass", "6d", 4.0), "amber");
+  assert.equal(classifyTurbidity("seagrass", "6d", 4.32), "amber");
+  assert.equal(classifyTurbidity("seagrass", "6d", 4.33), "red");
+  assert.equal(classifyTurbidity("Grayling", "15d", 15.5), "amber");
+});
+
+test("classifyTurbidity is neutral without a rule or a number", t => {
+  withTriggers(t, repoTriggers);
+
+  assert.equal(classifyTurbidity("estuary", "6d", 50), "neutral");
+  assert.equal(classifyTurbidity("seagrass", "raw", 50), "neutral");
+  assert.equal(classifyTurbidity("seagrass", "6d", NaN), "neutral");
+
+  setTriggerConfig(null);
+  assert.equal(classifyTurbidity("seagrass", "6d", 50), "neutral");
+});
+
+test("swapped amber/red values still treat the higher value as red", t => {
+  withTriggers(t, JSON.parse(fixture("triggers-swapped.json")));
+
+  assert.deepEqual(triggerRuleFor("turbidity", "seagrass", "6d"), { amber: 4.33, red: 4.0 });
+  assert.equal(classifyTurbidity("seagrass", "6d", 3.9), "green");
+  assert.equal(classifyTurbidity("seagrass", "6d", 4.1), "amber");
+  assert.equal(classifyTurbidity("seagrass", "15d", 4.5), "red");
+});
+
+test("lower-bound and band rules", () => {
+  const lower = { type: "lower", amber: 80, red: 60 };
+  assert.equal(classifyAgainstRule(lower, 90), "green");
+  assert.equal(classifyAgainstRule(lower, 75), "amber");
+  assert.equal(classifyAgainstRule(lower, 60), "red");
+
+  const band = { type: "band", amber: [7.0, 8.5], red: [6.5, 9.0] };
+  assert.equal(classifyAgainstRule(band, 8.1), "green");
+  assert.equal(classifyAgainstRule(band, 8.7), "amber");
+  assert.equal(classifyAgainstRule(band, 9.2), "red");
+  // Band ends given the wrong way round
+  assert.equal(classifyAgainstRule({ type: "band", amber: [8.5, 7.0] }, 8.1), "green");
+});
+
+test('a "*" site entry applies to every site', t => {
+  withTriggers(t, repoTriggers);
+  assert.equal(classifyParameter("ph", "offshore", null, 8.1), "green");
+  assert.equal(classifyParameter("ph", "estuary", null, 6.8), "amber");
+});
+
+test("the revision in force at the reading's time is used", t => {
+  withTriggers(t, {
+    revisions: [
+      { id: "r2", effective_from: "2026-09-01", triggers: { turbidity: { forth: { "6d": { amber: 5, red: 6 } } } } },
+      { id: "r1", effective_from: null, triggers: { turbidity: { forth: { "6d": { amber: 3, red: 4 } } } } }
+    ]
+  });
+
+  assert.equal(classifyTurbidity("forth", "6d", 4.5, "2026-08-31T23:00:00"), "red");
+  assert.equal(classifyTurbidity("forth", "6d", 4.5, "2026-09-01T00:00:00"), "green");
+  assert.equal(classifyTurbidity("forth", "6d", 5.5, "2026-10-19T03:00:00.000Z"), "amber");
+});
+
+test("normaliseTriggerConfig sorts revisions and drops bad dates", () => {
+  const original = console.warn;
+  console.warn = () => {};
+  try {
+    const cfg = normaliseTriggerConfig({
+      units: "NTU",
+      revisions: [{ id: "b", effective_from: "2026-05-01" }, { id: "x", effective_from: "soon" }, { id: "a", effective_from: null }]
+    });
+    assert.equal(cfg.units, "NTU");
+    assert.deepEqual(cfg.revisions.map(r => r.id), ["a", "b"]);
+    // Offset-less dates start at Hobart midnight
+    assert.equal(cfg.revisions[1].effectiveFromMs, Date.parse("2026-05-01T00:00:00+10:00"));
+  } finally {
+    console.warn = original;
+  }
+
+  assert.deepEqual(normaliseTriggerConfig(null), { units: "", revisions: [] });
+});
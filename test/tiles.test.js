@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { sortTiles, popupHtmlForStation } = require("../lib/tiles.js");
+const { normaliseTriggerConfig, setTriggerConfig } = require("../lib/thresholds.js");
+
+const tile = (stationId, stationName, level) => ({ stationId, stationName, level });
+
+test("sortTiles: multi-sensor sites by name, top before bottom, single-sensor sites last", () => {
+  const sorted = sortTiles([
+    tile("grayling", "Grayling", "top"),
+    tile("seagrass", "Seagrass", "bottom"),
+    tile("estuary", "Estuary Mouth", "top"),
+    tile("forth", "Forth", "bottom"),
+    tile("seagrass", "Seagrass", "top"),
+    tile("forth", "Forth", "top"),
+    tile("offshore", "Offshore", "Top")
+  ]);
+
+  assert.deepEqual(sorted.map(t => `${t.stationId}/${t.level.toLowerCase()}`), [
+    "forth/top",
+    "forth/bottom",
+    "offshore/top",
+    "seagrass/top",
+    "seagrass/bottom",
+    // Single-sensor sites keep name order among themselves
+    "estuary/top",
+    "grayling/top"
+  ]);
+});
+
+test("sortTiles puts unknown sensor levels after top and bottom", () => {
+  const sorted = sortTiles([tile("forth", "Forth", "mid"), tile("forth", "Forth", "bottom"), tile("forth", "Forth", "top")]);
+  assert.deepEqual(sorted.map(t => t.level), ["top", "bottom", "mid"]);
+});
+
+const station = { id: "seagrass", name: "Seagrass <East>", coords: [-41.1614, 146.3944], sensors: ["top", "bottom"] };
+
+const summary = {
+  byWindow: {
+    "6d": {
+      top: { ok: true, value: 4.412, timestamp: "2026-10-19T03:00:00.000Z", stale: false },
+      bottom: { ok: false, reason: "fetch <failed>" }
+    }
+  },
+  byParam: {
+    ph: { top: { ok: true, value: 6.8, timestamp: "2026-10-19T03:00:00.000Z" } },
+    do: { top: { ok: true, value: 94.25, timestamp: "2026-10-19T03:00:00.000Z", stale: true, cachedAt: 1 } }
+  }
+};
+
+test("popupHtmlForStation lists readings, errors and links", t => {
+  setTriggerConfig(normaliseTriggerConfig({ revisions: [{ id: "r1", triggers: { ph: { "*": { type: "band", amber: [7.0, 8.5] } } } }] }));
+  t.after(() => setTriggerConfig(null));
+
+  const html = popupHtmlForStation(station, summary, null, ["6d", "15d"]);
+
+  assert.match(html, /<strong>Seagrass &lt;East&gt;<\/strong>/);
+  assert.match(html, /-41\.16140, 146\.39440/);
+  assert.match(html, /TOP: 4\.41 FNU \(19 Oct 2026 14:00 AEDT\)/);
+  assert.match(html, /BOTTOM: — \(error: fetch &lt;failed&gt;\)/);
+  assert.match(html, /15-day rolling median: not configured/);
+  assert.match(html, /<em>pH:<\/em><br\/>TOP: 6\.80 \(amber\)/);
+  assert.match(html, /TOP: 94\.3 % sat \(stale\) \(cached\)/);
+  assert.match(html, /href="station\.html\?station=seagrass"/);
+  assert.match(html, /href="charts\.html\?station=seagrass"/);
+  assert.doesNotMatch(html, /Calibration:/);
+});
+
+test("popupHtmlForStation shows per-sensor calibration when given", () => {
+  const html = popupHtmlForStation(station, null, [
+    { level: "top", status: "overdue", label: "Overdue", lastText: "1 Sep 2026 09:00 AEST" },
+    { level: "bottom", status: "unknown", label: "No record", lastText: "" }
+  ], ["6d", "15d"]);
+
+  assert.match(html, /TOP: <span class="cal-badge cal-badge--overdue">Overdue<\/span> <span class="small subtle">\(1 Sep 2026 09:00 AEST\)<\/span>/);
+  assert.match(html, /BOTTOM: <span class="cal-badge cal-badge--unknown">No record<\/span><br\/>/);
+  assert.match(html, /6-day rolling median: not configured/);
+});
+
+test("popupHtmlForStation lists every turbidity window, by default the station's own", () => {
+  const withValues = {
+    ...station,
+    values: { top: { turbidity: { "1h": "https://example.test/1h.csv", "6d": "https://example.test/6d.csv" } } }
+  };
+  const html = popupHtmlForStation(withValues, summary);
+  assert.match(html, /1-hour average<\/span><br\/><span class="subtle small">1-hour average: not configured/);
+  assert.match(html, /6-day rolling median<\/span><br\/>TOP: 4\.41 FNU/);
+  assert.doesNotMatch(html, /15-day/);
+
+  assert.doesNotMatch(popupHtmlForStation(station, summary, null, []), /Turbidity:/);
+});
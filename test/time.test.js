@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseTimestamp, formatDateTime, formatIsoLocal, zonedTimeToMs } = require("../lib/time.js");
+
+test("offset-less timestamps are Hobart wall time, offsets are honoured", () => {
+  assert.equal(parseTimestamp("2026-07-01T09:00:00"), Date.parse("2026-07-01T09:00:00+10:00"));
+  assert.equal(parseTimestamp("2026-10-19 14:30"), Date.parse("2026-10-19T14:30:00+11:00"));
+  assert.equal(parseTimestamp("2026-10-19T14:30:00+1100"), Date.parse("2026-10-19T14:30:00+11:00"));
+  assert.equal(parseTimestamp("2026-10-19T03:30:00.250Z"), Date.parse("2026-10-19T03:30:00.250Z"));
+  assert.ok(Number.isNaN(parseTimestamp("19 Oct 2026")));
+  assert.ok(Number.isNaN(parseTimestamp("")));
+});
+
+test("display carries the zone that applied at the time (AEST / AEDT)", () => {
+  assert.equal(formatDateTime("2026-07-01T09:00:00"), "1 Jul 2026 09:00 AEST");
+  assert.equal(formatDateTime(Date.UTC(2026, 9, 19, 3, 30)), "19 Oct 2026 14:30 AEDT");
+  assert.equal(formatIsoLocal("2026-07-01T09:00:00"), "2026-07-01T09:00:00+10:00");
+  assert.equal(formatDateTime("not a time"), "");
+});
+
+test("daylight saving changes over on the right Hobart hour", () => {
+  // 5 Apr 2026: 03:00 AEDT falls back to 02:00 AEST; 4 Oct 2026: 02:00 AEST jumps to 03:00 AEDT
+  assert.equal(formatIsoLocal(Date.parse("2026-04-04T16:30:00Z")), "2026-04-05T02:30:00+10:00");
+  assert.equal(formatIsoLocal(Date.parse("2026-10-03T15:59:00Z")), "2026-10-04T01:59:00+10:00");
+  assert.equal(formatIsoLocal(Date.parse("2026-10-03T16:00:00Z")), "2026-10-04T03:00:00+11:00");
+  assert.equal(zonedTimeToMs(2026, 9, 4, 3, 0), Date.parse("2026-10-04T03:00:00+11:00"));
+});